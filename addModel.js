@@ -0,0 +1,293 @@
+"use strict";
+
+const chalk = require("chalk");
+const fs = require("fs-extra");
+const path = require("path");
+const prompts = require("prompts");
+
+const dataverseConfig = require("./dataverseConfig");
+
+const fieldTypes = ["String", "Int", "Float", "Boolean", "DateTime"];
+
+// Fields every model gets, so they can't be declared again.
+const reservedFieldNames = ["author", "version"];
+
+// Walk up from `directory` to the app that holds dataverse.config.ts.
+function findAppRoot(directory) {
+  let current = path.resolve(directory);
+  while (!fs.existsSync(path.join(current, dataverseConfig.configFileName))) {
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+  return current;
+}
+
+function validateName(name) {
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+    return "use letters, digits and _, starting with a letter.";
+  }
+  return true;
+}
+
+// Parse a field like `title:String!`, `tags:[String]` or `count:Int`. The type
+// defaults to String.
+function parseField(spec) {
+  const match = /^([^:]+)(?::(\[)?([A-Za-z]+)(\])?(!)?)?$/.exec(spec.trim());
+  if (!match || Boolean(match[2]) !== Boolean(match[4])) {
+    throw new Error(`"${spec}" is not a valid field, use name:Type.`);
+  }
+  const name = match[1].trim();
+  const nameValidation = validateName(name);
+  if (nameValidation !== true) {
+    throw new Error(`Invalid field name "${name}": ${nameValidation}`);
+  }
+  if (reservedFieldNames.includes(name)) {
+    throw new Error(`"${name}" is added to every model, use another name.`);
+  }
+  const type = match[3] || "String";
+  if (!fieldTypes.includes(type)) {
+    throw new Error(
+      `Unknown type "${type}" for "${name}", use one of ${fieldTypes.join(
+        ", "
+      )}.`
+    );
+  }
+  return {
+    name,
+    type,
+    list: Boolean(match[2]),
+    required: Boolean(match[5]),
+  };
+}
+
+function renderField(field) {
+  let type = field.list ? `[${field.type}]` : field.type;
+  if (field.required) {
+    type += "!";
+  }
+  const directives = [];
+  if (field.list) {
+    directives.push("@list(maxLength: 100)");
+  }
+  if (field.type === "String") {
+    directives.push("@string(maxLength: 2000)");
+  }
+  return `  ${field.name}: ${[type, ...directives].join(" ")}`;
+}
+
+function renderSchema(name, fields, accountRelation) {
+  return [
+    `type ${name} @createModel(accountRelation: ${accountRelation}, description: "${name}") {`,
+    "  author: DID! @documentAccount",
+    "  version: CommitID! @documentVersion",
+    ...fields.map(renderField),
+    "}",
+    "",
+  ].join("\n");
+}
+
+function promptForFields() {
+  const fields = [];
+  const onCancel = () => {
+    console.log();
+    console.log("Aborting.");
+    process.exit(1);
+  };
+  const next = () =>
+    prompts(
+      [
+        {
+          type: "text",
+          name: "name",
+          message: "Field name (leave empty to finish):",
+          validate: (name) => {
+            name = name.trim();
+            if (!name) {
+              return fields.length ? true : "Add at least one field.";
+            }
+            if (fields.some((field) => field.name === name)) {
+              return `"${name}" was already added.`;
+            }
+            if (reservedFieldNames.includes(name)) {
+              return `"${name}" is added to every model.`;
+            }
+            return validateName(name);
+          },
+          format: (name) => name.trim(),
+        },
+        {
+          type: (prev) => (prev ? "select" : null),
+          name: "type",
+          message: "Type:",
+          choices: fieldTypes.map((type) => ({ title: type, value: type })),
+        },
+        {
+          type: (prev, values) => (values.name ? "confirm" : null),
+          name: "list",
+          message: "Is it a list?",
+          initial: false,
+        },
+        {
+          type: (prev, values) => (values.name ? "confirm" : null),
+          name: "required",
+          message: "Is it required?",
+          initial: false,
+        },
+      ],
+      { onCancel }
+    ).then((field) => {
+      if (!field.name) {
+        return fields;
+      }
+      fields.push(field);
+      return next();
+    });
+  return next();
+}
+
+// Create models/<name>.graphql in the app around the current directory, and
+// register the model in dataverse.config.ts.
+function addModel(name, options) {
+  const root = findAppRoot(process.cwd());
+  if (!root) {
+    console.error(
+      chalk.red(
+        `Could not find ${chalk.green(
+          dataverseConfig.configFileName
+        )}. Run this command inside a Dataverse app.`
+      )
+    );
+    process.exit(1);
+  }
+
+  const nameValidation = validateName(name);
+  if (nameValidation !== true) {
+    console.error(chalk.red(`Invalid model name "${name}": ${nameValidation}`));
+    process.exit(1);
+  }
+
+  const configPath = path.join(root, dataverseConfig.configFileName);
+  const modelsDir = path.join(root, "models");
+  const source = fs.readFileSync(configPath, "utf8");
+  const existingModels = dataverseConfig
+    .getModels(source)
+    .map((model) => model.name)
+    .concat(
+      fs.existsSync(modelsDir)
+        ? fs
+            .readdirSync(modelsDir)
+            .filter((file) => file.endsWith(".graphql"))
+            .map((file) => path.basename(file, ".graphql"))
+        : []
+    );
+  // Model names end up in GraphQL type names, so they clash regardless of
+  // case on case-insensitive file systems.
+  const existing = existingModels.find(
+    (model) => model.toLowerCase() === name.toLowerCase()
+  );
+  if (existing) {
+    console.error(
+      chalk.red(
+        `A model named ${chalk.green(existing)} already exists in this app.`
+      )
+    );
+    process.exit(1);
+  }
+
+  let getFields;
+  if (options.fields) {
+    try {
+      getFields = Promise.resolve(
+        options.fields
+          .split(",")
+          .filter((spec) => spec.trim())
+          .map(parseField)
+      );
+    } catch (err) {
+      console.error(chalk.red(err.message));
+      process.exit(1);
+    }
+  } else if (process.stdin.isTTY) {
+    getFields = promptForFields();
+  } else {
+    console.error(
+      chalk.red(
+        `Please list the model's fields with ${chalk.cyan(
+          "--fields"
+        )}, e.g. ${chalk.cyan('--fields "title:String!,tags:[String]"')}`
+      )
+    );
+    process.exit(1);
+  }
+
+  return getFields.then((fields) => {
+    const duplicate = fields.find(
+      (field, i) => fields.findIndex((f) => f.name === field.name) !== i
+    );
+    if (duplicate) {
+      console.error(
+        chalk.red(`The field "${duplicate.name}" is listed twice.`)
+      );
+      process.exit(1);
+    }
+
+    // Only strings can be encrypted.
+    const encryptable = (options.encryptable || "")
+      .split(",")
+      .map((field) => field.trim())
+      .filter(Boolean);
+    const notEncryptable = encryptable.filter(
+      (fieldName) =>
+        !fields.some(
+          (field) => field.name === fieldName && field.type === "String"
+        )
+    );
+    if (notEncryptable.length) {
+      console.error(
+        chalk.red(
+          `Only String fields of the model can be encrypted, which ${notEncryptable.join(
+            ", "
+          )} ${notEncryptable.length === 1 ? "is" : "are"} not.`
+        )
+      );
+      process.exit(1);
+    }
+
+    const schemaName = `${name}.graphql`;
+    const updatedSource = dataverseConfig.addModel(source, {
+      schemaName,
+      isPublicDomain: Boolean(options.public),
+      encryptable,
+    });
+    if (updatedSource === null) {
+      console.error(
+        chalk.red(
+          `Could not find the models list in ${dataverseConfig.configFileName}.`
+        )
+      );
+      process.exit(1);
+    }
+
+    fs.ensureDirSync(modelsDir);
+    fs.writeFileSync(
+      path.join(modelsDir, schemaName),
+      renderSchema(name, fields, options.single ? "SINGLE" : "LIST")
+    );
+    fs.writeFileSync(configPath, updatedSource);
+
+    console.log();
+    console.log(
+      `Created ${chalk.cyan(
+        path.relative(process.cwd(), path.join(modelsDir, schemaName))
+      )} and added it to ${chalk.cyan(dataverseConfig.configFileName)}.`
+    );
+  });
+}
+
+module.exports = {
+  addModel,
+  findAppRoot,
+};
@@ -0,0 +1,342 @@
+"use strict";
+
+// Optional add-ons for an app, added with `--with` when creating it or with
+// the `add` command later: a Dockerfile, a GitHub Actions workflow and VS Code
+// settings. They are written for the app's toolchain, which the caller
+// detects:
+//
+//   {
+//     packageManager: "pnpm",
+//     packageManagerVersion: "8.6.0",
+//     declared: true, // package.json has a `packageManager` field
+//     lockFile: "pnpm-lock.yaml", // null when there is none yet
+//     node: { version: "20", file: ".nvmrc" },
+//   }
+
+const fs = require("fs-extra");
+const path = require("path");
+
+const { InvalidOptionError } = require("./errors");
+
+// `standalone` add-ons need the app's own lockfile, which apps in a workspace
+// don't have.
+const addons = {
+  docker: {
+    files: ["Dockerfile", ".dockerignore"],
+    standalone: true,
+    render: renderDocker,
+  },
+  "github-actions": {
+    files: [".github/workflows/ci.yml"],
+    standalone: true,
+    render: renderGitHubActions,
+  },
+  vscode: {
+    files: [".vscode/settings.json", ".vscode/extensions.json"],
+    standalone: false,
+    render: renderVsCode,
+  },
+};
+
+const addonNames = Object.keys(addons);
+
+// Check the add-on `names`, e.g. from `--with docker,vscode`, and return them
+// without duplicates.
+function parseAddons(names, inWorkspace) {
+  const unknown = names.filter((name) => !addons[name]);
+  if (unknown.length) {
+    throw new InvalidOptionError(
+      `Unknown add-on ${unknown.join(", ")}, use ${addonNames.join(", ")}.`
+    );
+  }
+  const standalone = names.filter((name) => addons[name].standalone);
+  if (inWorkspace && standalone.length) {
+    throw new InvalidOptionError(
+      `The app is part of a workspace, so ${standalone.join(
+        " and "
+      )} can't be added to it. Set ${
+        standalone.length === 1 ? "it" : "them"
+      } up for the whole workspace instead.`
+    );
+  }
+  return Array.from(new Set(names));
+}
+
+// The files the add-ons write, relative to the app and with `/` separators.
+function getAddonFiles(names) {
+  return names.flatMap((name) => addons[name].files);
+}
+
+// JSON files are merged into the existing ones, the others are replaced.
+function isMergedFile(file) {
+  return file.endsWith(".json");
+}
+
+function isYarnBerry(toolchain) {
+  return (
+    toolchain.packageManager === "yarn" &&
+    parseInt(toolchain.packageManagerVersion, 10) >= 2
+  );
+}
+
+// How to run a package.json script, also used for the next steps printed
+// after creating an app.
+function getRunCommand(packageManager, script) {
+  return packageManager === "npm"
+    ? `npm run ${script}`
+    : `${packageManager} ${script}`;
+}
+
+// Install exactly what the lockfile lists, failing when it is out of date.
+// Without a lockfile, there is nothing to stick to.
+function getInstallCommand(toolchain) {
+  if (!toolchain.lockFile) {
+    return `${toolchain.packageManager} install`;
+  }
+  if (toolchain.packageManager === "npm") {
+    return "npm ci";
+  }
+  if (isYarnBerry(toolchain)) {
+    return "yarn install --immutable";
+  }
+  return `${toolchain.packageManager} install --frozen-lockfile`;
+}
+
+// The command that makes the app's version of yarn or pnpm available, or null
+// for npm and Yarn 1, which come with Node. Node 25 and later no longer ship
+// corepack.
+function getCorepackCommand(toolchain) {
+  const { packageManager, packageManagerVersion, declared } = toolchain;
+  if (
+    packageManager === "npm" ||
+    (packageManager === "yarn" && !declared && !isYarnBerry(toolchain))
+  ) {
+    return null;
+  }
+  const enable =
+    parseInt(toolchain.node.version, 10) >= 25
+      ? "npm install --global corepack && corepack enable"
+      : "corepack enable";
+  // corepack picks the version in the `packageManager` field by itself.
+  return declared
+    ? enable
+    : `${enable} && corepack prepare ${packageManager}@${
+        packageManagerVersion || "latest"
+      } --activate`;
+}
+
+// `what` the add-on `name` generates can't install from the lockfile when there
+// is none, e.g. with `--skip-install`.
+function getLockFileWarnings(app, name, what) {
+  return app.toolchain.lockFile
+    ? []
+    : [
+        `The app has no lockfile yet, so ${what} installs the latest matching versions. ` +
+          `Install the dependencies and run \`create-dataverse-app add ${name} --force\` to install from the lockfile.`,
+      ];
+}
+
+function hasScript(app, script) {
+  return Boolean(app.packageJson.scripts && app.packageJson.scripts[script]);
+}
+
+function hasDependency(app, name) {
+  return ["dependencies", "devDependencies"].some(
+    (field) => app.packageJson[field] && app.packageJson[field][name]
+  );
+}
+
+function renderDocker(app) {
+  const { toolchain } = app;
+  const { packageManager } = toolchain;
+  const copied = [
+    "package.json",
+    ...[toolchain.lockFile, ".npmrc", ".yarnrc.yml"].filter(
+      (file) => file && fs.existsSync(path.join(app.root, file))
+    ),
+  ];
+  const corepack = getCorepackCommand(toolchain);
+  const warnings = getLockFileWarnings(app, "docker", "the Dockerfile");
+  if (!hasScript(app, "build")) {
+    warnings.push(
+      "package.json has no build script, add one before building the Docker image."
+    );
+  }
+  return {
+    warnings,
+    files: {
+      Dockerfile: [
+        `# Build the app with Node ${toolchain.node.version} and ${packageManager}, then serve it with nginx.`,
+        `FROM node:${toolchain.node.version}-alpine AS build`,
+        "WORKDIR /app",
+        ...(corepack ? [`RUN ${corepack}`] : []),
+        `COPY ${copied.join(" ")} ./`,
+        `RUN ${getInstallCommand(toolchain)}`,
+        "COPY . .",
+        `RUN ${getRunCommand(packageManager, "build")}`,
+        "",
+        "FROM nginx:alpine",
+        "# Vite writes the build to dist.",
+        "COPY --from=build /app/dist /usr/share/nginx/html",
+        "EXPOSE 80",
+        "",
+      ].join("\n"),
+      ".dockerignore": [
+        "node_modules",
+        "dist",
+        ".git",
+        "# The private key stays out of the image.",
+        ".env",
+        ".env.*",
+        "!.env.example",
+        "",
+      ].join("\n"),
+    },
+  };
+}
+
+function renderGitHubActions(app) {
+  const { toolchain } = app;
+  const { packageManager } = toolchain;
+  const corepack = getCorepackCommand(toolchain);
+  const scripts = ["lint", "build"].filter((script) => hasScript(app, script));
+  const warnings = [
+    ...getLockFileWarnings(app, "github-actions", "the CI workflow"),
+    ...["lint", "build"]
+      .filter((script) => !scripts.includes(script))
+      .map(
+        (script) =>
+          `package.json has no ${script} script, so the CI workflow doesn't run one.`
+      ),
+  ];
+  return {
+    warnings,
+    files: {
+      ".github/workflows/ci.yml": [
+        "name: CI",
+        "",
+        "on:",
+        "  push:",
+        "  pull_request:",
+        "",
+        "jobs:",
+        "  build:",
+        "    runs-on: ubuntu-latest",
+        "    steps:",
+        "      - uses: actions/checkout@v4",
+        // setup-node needs the package manager to cache its store.
+        ...(corepack ? [`      - run: ${corepack}`] : []),
+        "      - uses: actions/setup-node@v4",
+        "        with:",
+        toolchain.node.file
+          ? `          node-version-file: ${toolchain.node.file}`
+          : `          node-version: "${toolchain.node.version}"`,
+        // The cache is keyed on the lockfile.
+        ...(toolchain.lockFile ? [`          cache: ${packageManager}`] : []),
+        `      - run: ${getInstallCommand(toolchain)}`,
+        ...scripts.map(
+          (script) => `      - run: ${getRunCommand(packageManager, script)}`
+        ),
+        "",
+      ].join("\n"),
+    },
+  };
+}
+
+function renderVsCode(app) {
+  const settings = { "npm.packageManager": app.toolchain.packageManager };
+  // The models are GraphQL schemas.
+  const recommendations = ["GraphQL.vscode-graphql-syntax"];
+  if (hasDependency(app, "prettier")) {
+    settings["editor.defaultFormatter"] = "esbenp.prettier-vscode";
+    settings["editor.formatOnSave"] = true;
+    recommendations.push("esbenp.prettier-vscode");
+  }
+  if (hasDependency(app, "eslint")) {
+    settings["editor.codeActionsOnSave"] = {
+      "source.fixAll.eslint": "explicit",
+    };
+    recommendations.push("dbaeumer.vscode-eslint");
+  }
+  if (hasDependency(app, "typescript")) {
+    settings["typescript.tsdk"] = "node_modules/typescript/lib";
+  }
+  return {
+    warnings: [],
+    files: {
+      ".vscode/settings.json": settings,
+      ".vscode/extensions.json": { recommendations },
+    },
+  };
+}
+
+// Add what `generated` has to `existing`: the settings already there are
+// kept, and lists get the missing items.
+function mergeJson(existing, generated) {
+  const merged = { ...existing };
+  Object.entries(generated).forEach(([key, value]) => {
+    if (!(key in merged)) {
+      merged[key] = value;
+    } else if (Array.isArray(merged[key]) && Array.isArray(value)) {
+      merged[key] = Array.from(new Set([...merged[key], ...value]));
+    }
+  });
+  return merged;
+}
+
+// Write the add-ons `names` into the app in `root`. Existing files are kept
+// unless `force` is set, except for the JSON ones which get the missing
+// settings. Returns the files as `{ path, action }`, `action` being create,
+// update or keep.
+function addAddons(root, names, toolchain, force, onProgress) {
+  let packageJson = {};
+  try {
+    packageJson = fs.readJsonSync(path.join(root, "package.json"));
+  } catch (e) {
+    // The Dockerfile and the workflow then only install and build.
+  }
+  const app = { root, packageJson, toolchain };
+  const results = [];
+  names.forEach((name) => {
+    const { files, warnings } = addons[name].render(app);
+    warnings.forEach((message) => onProgress({ type: "warning", message }));
+    Object.entries(files).forEach(([file, contents]) => {
+      const filePath = path.join(root, file);
+      const exists = fs.existsSync(filePath);
+      if (isMergedFile(file)) {
+        let existing = {};
+        if (exists) {
+          try {
+            existing = fs.readJsonSync(filePath);
+          } catch (err) {
+            throw new InvalidOptionError(
+              `Could not read ${file}: ${err.message}`
+            );
+          }
+        }
+        const merged = mergeJson(existing, contents);
+        if (JSON.stringify(merged) === JSON.stringify(existing)) {
+          results.push({ path: file, action: "keep" });
+          return;
+        }
+        fs.outputJsonSync(filePath, merged, { spaces: 2 });
+      } else if (exists && !force) {
+        results.push({ path: file, action: "keep" });
+        return;
+      } else {
+        fs.outputFileSync(filePath, contents);
+      }
+      results.push({ path: file, action: exists ? "update" : "create" });
+    });
+  });
+  return results;
+}
+
+module.exports = {
+  addonNames,
+  parseAddons,
+  getAddonFiles,
+  isMergedFile,
+  addAddons,
+  getRunCommand,
+};
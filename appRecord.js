@@ -0,0 +1,42 @@
+"use strict";
+
+// Every app gets a `.dataverse-app.json` recording what it was created from
+// and how, so that later commands like `upgrade` know which template and
+// revision the app's files came from.
+
+const fs = require("fs-extra");
+const path = require("path");
+
+const appRecordFileName = ".dataverse-app.json";
+
+function readAppRecord(root) {
+  try {
+    return fs.readJsonSync(path.join(root, appRecordFileName));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeAppRecord(root, record) {
+  fs.writeJsonSync(path.join(root, appRecordFileName), record, { spaces: 2 });
+}
+
+// Walk up from `directory` to the app that holds the record.
+function findRecordedApp(directory) {
+  let current = path.resolve(directory);
+  while (!fs.existsSync(path.join(current, appRecordFileName))) {
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+  return current;
+}
+
+module.exports = {
+  appRecordFileName,
+  readAppRecord,
+  writeAppRecord,
+  findRecordedApp,
+};
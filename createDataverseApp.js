@@ -12,484 +12,3957 @@ const validateProjectName = require("validate-npm-package-name");
 const path = require("path");
 const os = require("os");
 const spawn = require("cross-spawn");
+const tar = require("tar");
+const AdmZip = require("adm-zip");
+const crypto = require("crypto");
+const prompts = require("prompts");
 
 const packageJson = require("./package.json");
+const {
+  configFileName,
+  readConfig,
+  updateConfig,
+  getModels,
+} = require("./dataverseConfig");
+const { addModel, findAppRoot } = require("./addModel");
+const { doctor } = require("./doctor");
+const {
+  addonNames,
+  parseAddons,
+  getAddonFiles,
+  isMergedFile,
+  addAddons,
+  getRunCommand,
+} = require("./addons");
+const {
+  appRecordFileName,
+  readAppRecord,
+  writeAppRecord,
+  findRecordedApp,
+} = require("./appRecord");
+const { mergeTemplateFiles } = require("./upgrade");
+const { loadTemplateIndex, findTemplate } = require("./templateIndex");
+const {
+  manifestFileName,
+  readManifest,
+  getVariableValues,
+  isExistingFile,
+  applyManifest,
+  getPostCreateCommands,
+  getNextSteps,
+} = require("./templateManifest");
+const { createLogger } = require("./logger");
+const {
+  rcFileName,
+  getUserRcFile,
+  loadSettings,
+  setSetting,
+  getSetting,
+} = require("./rcFile");
+const {
+  getTemplateMirror,
+  getRegistry,
+  getGitUrl,
+  getHost,
+  getRegistryEnv,
+} = require("./network");
+const {
+  findWorkspace,
+  getLockFiles,
+  packageManagerLockFiles,
+  getSharedVersionChanges,
+  getWorkspacePattern,
+  prepareWorkspaceApp,
+  registerInWorkspace,
+} = require("./workspace");
+const {
+  checkForLatestVersion,
+  isUpdateCheckDisabled,
+  getUpdateNotice,
+} = require("./updateCheck");
+const {
+  CreateDataverseAppError,
+  InvalidOptionError,
+  InvalidProjectNameError,
+  UnsafeDirectoryError,
+  TemplateError,
+  EnvironmentError,
+  CommandError,
+  AbortError,
+} = require("./errors");
 
-function isUsingYarn() {
-  return (process.env.npm_config_user_agent || "").indexOf("yarn") === 0;
+const packageManagers = ["npm", "yarn", "pnpm"];
+
+// Which package manager create-dataverse-app was run with, e.g. `yarn create`
+// or `pnpm create`.
+function getUserAgentPackageManager() {
+  const userAgent = process.env.npm_config_user_agent || "";
+  return packageManagers.find((pm) => userAgent.startsWith(`${pm}/`)) || null;
+}
+
+const defaultTemplate =
+  "https://github.com/dataverse-os/create-dataverse-app.git";
+
+const defaultProjectName = "my-dataverse-app";
+
+// The template's dev server, so that the app works locally out of the box.
+const defaultWebsite = "http://localhost:5173";
+
+let projectName;
+let runCommand;
+let logger = createLogger();
+
+function init() {
+  const program = new commander.Command(packageJson.name)
+    .version(packageJson.version)
+    .arguments("<project-directory>")
+    .usage(`${chalk.green("<project-directory>")} [options]`)
+    .action((name) => {
+      projectName = name;
+    })
+    .option("--info", "print environment debug info")
+    .option("--verbose", "print the commands that are run and their timings")
+    .option("--silent", "only print errors")
+    .option(
+      "--json",
+      "print one JSON object per line for each step, or the --info output as JSON"
+    )
+    .option(
+      "--template <path-to-template>",
+      "specify a template for the created project"
+    )
+    .option(
+      "--template-path <path>",
+      "folder of the template to use, for templates in a monorepo"
+    )
+    .option(
+      "--template-sha <commit>",
+      "abort unless the git template is at this commit"
+    )
+    .option(
+      "--template-checksum <sha256>",
+      "abort unless the template files, or the archive, have this checksum"
+    )
+    .option(
+      "--template-index <url-or-file>",
+      "template index to look up template names in"
+    )
+    .option("--use-npm", "install dependencies with npm")
+    .option("--use-yarn", "install dependencies with yarn")
+    .option("--use-pnpm", "install dependencies with pnpm")
+    .option("--skip-install", "do not install dependencies")
+    .option("--no-git", "do not initialize a git repository")
+    .option(
+      "--no-workspace",
+      "create a standalone app even inside a pnpm, yarn or npm workspace"
+    )
+    .option("--no-env", "do not create a .env file")
+    .option(
+      "--private-key <key>",
+      "private key to put in the .env file, use - to read it from stdin"
+    )
+    .option("--generate-key", "generate a new private key for the .env file")
+    .option("--app-slug <slug>", "slug of the app in dataverse.config.ts")
+    .option(
+      "--app-description <description>",
+      "description of the app in dataverse.config.ts"
+    )
+    .option(
+      "--website <urls>",
+      "comma-separated websites of the app in dataverse.config.ts"
+    )
+    .option(
+      "--models <names>",
+      "comma-separated models of the template to keep in dataverse.config.ts"
+    )
+    .option(
+      "--with <addons>",
+      `comma-separated add-ons to generate: ${addonNames.join(", ")}`
+    )
+    .option(
+      "--var <name=value>",
+      "value of a variable of the template, can be repeated",
+      (value, previous) => previous.concat([value]),
+      []
+    )
+    .option("-y, --yes", "accept the defaults instead of prompting")
+    .option(
+      "--preset <name>",
+      `use the settings of a preset from ${rcFileName}`
+    )
+    .option(
+      "--offline",
+      "create the app from the template cache without accessing the network"
+    )
+    .option("--skip-update-check", "do not check for a newer release")
+    .option(
+      "--template-mirror <url>",
+      "fetch the git templates hosted on github.com from this mirror instead"
+    )
+    .option(
+      "--registry <url>",
+      "npm registry to fetch npm templates, dependencies and updates from"
+    )
+    .option(
+      "--dry-run",
+      "print what would be created and run, without writing anything"
+    )
+    .on("--help", () => {
+      console.log(
+        `    Only ${chalk.green("<project-directory>")} is required.`
+      );
+      console.log();
+      console.log(`    A custom ${chalk.cyan("--template")} can be one of:`);
+      console.log(`      - a local directory: ${chalk.green("./my-template")}`);
+      console.log(
+        `      - a git url, optionally with a ref: ${chalk.green(
+          "https://github.com/my-org/my-template.git#v1.0.0"
+        )}`
+      );
+      console.log(
+        `      - a .tgz or .zip archive: ${chalk.green("./my-template.tgz")}`
+      );
+      console.log(
+        `      - a package on npm: ${chalk.green("my-dataverse-template")}`
+      );
+      console.log(
+        `      - a name from ${chalk.cyan(
+          `${packageJson.name} list-templates`
+        )}: ${chalk.green("default")}`
+      );
+      console.log();
+    });
+
+  program
+    .command("add-model <name>")
+    .description("add a data model to the Dataverse app in this directory")
+    .option(
+      "--fields <fields>",
+      "comma-separated fields, e.g. title:String!,tags:[String]"
+    )
+    .option(
+      "--encryptable <fields>",
+      "comma-separated String fields that may be encrypted"
+    )
+    .option("--public", "mark the model as public domain")
+    .option("--single", "allow a single document of the model per account")
+    .action((name, command) => {
+      runCommand = () => addModel(name, command);
+    });
+
+  program
+    .command("add <addons>")
+    .description(
+      `add comma-separated add-ons to the Dataverse app in this directory: ${addonNames.join(
+        ", "
+      )}`
+    )
+    .option("--force", "overwrite the files that are already there")
+    .action((names, command) => {
+      runCommand = () => add(names, { force: command.force });
+    });
+
+  program
+    .command("list-templates")
+    .description("list the templates of the template index")
+    .option(
+      "--template-index <url-or-file>",
+      "read the index from a url or a file instead of the bundled one"
+    )
+    .option("--offline", "use the cached copy of the index")
+    .option("--json", "print the index as JSON")
+    .action((command) => {
+      // Like for `upgrade`, commander hands these to the main command.
+      runCommand = () =>
+        listTemplates({
+          templateIndex:
+            command.templateIndex ||
+            command.parent.templateIndex ||
+            settings.templateIndex,
+          offline: command.offline || command.parent.offline,
+        });
+    });
+
+  program
+    .command("upgrade")
+    .description(
+      "merge the changes made to the template since the app in this directory was created"
+    )
+    .option(
+      "--template <path-to-template>",
+      "upgrade to another template, e.g. another tag of the same repository"
+    )
+    .option("--offline", "only use templates from the template cache")
+    .option("--dry-run", "print what would change, without writing anything")
+    .action((command) => {
+      // These options are also options of the main command, and commander
+      // hands them to it.
+      runCommand = () =>
+        upgrade({
+          template: command.template || command.parent.template,
+          templateIndex: command.parent.templateIndex || settings.templateIndex,
+          offline: command.offline || command.parent.offline,
+          dryRun: command.dryRun || command.parent.dryRun,
+        });
+    });
+
+  program
+    .command("config <action> [key] [value]")
+    .description(
+      `get, set or list the defaults in ~/${rcFileName}: config set <key> <value>, config get <key> or config list`
+    )
+    .option(
+      "--project",
+      `use the ${rcFileName} of the current directory instead`
+    )
+    .option("--json", "print the settings as JSON")
+    .action((action, key, value, command) => {
+      runCommand = () =>
+        config(action, key, value, { project: command.project });
+    });
+
+  program
+    .command("doctor")
+    .description(
+      "check the toolchain, .env, dataverse.config.ts and models of the app in this directory"
+    )
+    .option("--json", "print the checks as JSON")
+    .action(() => {
+      runCommand = () =>
+        doctor({
+          logger,
+          getPackageManagerVersion,
+          checkNpmVersion,
+          checkThatNpmCanReadCwd,
+          checkIsGitInstalled,
+          envExampleFiles,
+          privateKeyVariable,
+          validatePrivateKey,
+          isGitIgnored,
+          validateAppSlug,
+        });
+    });
+
+  program.parse(process.argv);
+
+  // The defaults from the rc files, which the flags override.
+  let settings;
+  try {
+    settings = loadSettings(process.cwd(), program.preset).settings;
+  } catch (err) {
+    printError(err);
+    process.exit(1);
+  }
+
+  // Set for the subcommands and the commands we run too.
+  const templateMirror =
+    program.templateMirror ||
+    process.env.CREATE_DATAVERSE_APP_TEMPLATE_MIRROR ||
+    settings.templateMirror;
+  if (templateMirror) {
+    process.env.CREATE_DATAVERSE_APP_TEMPLATE_MIRROR = templateMirror;
+  }
+  const registry =
+    program.registry ||
+    process.env.CREATE_DATAVERSE_APP_REGISTRY ||
+    settings.registry;
+  if (registry) {
+    process.env.CREATE_DATAVERSE_APP_REGISTRY = registry;
+  }
+
+  // The subcommands print through it too.
+  logger = createLogger({
+    level: program.silent ? "error" : program.verbose ? "verbose" : "info",
+    json: program.json,
+  });
+
+  if (runCommand) {
+    return runCommand();
+  }
+
+  // if use --info, print environment debug info
+  if (program.info) {
+    // The template the app would be created from, so with the rc settings.
+    return printInfo({
+      template: program.template || settings.template,
+      templatePath: program.templatePath || settings.templatePath,
+      templateIndex: program.templateIndex || settings.templateIndex,
+      offline: program.offline,
+      json: program.json,
+    });
+  }
+
+  const requestedPackageManagers = [
+    program.useNpm && "npm",
+    program.useYarn && "yarn",
+    program.usePnpm && "pnpm",
+  ].filter(Boolean);
+  if (requestedPackageManagers.length > 1) {
+    logger.error(
+      chalk.red(
+        `Only one of ${chalk.cyan("--use-npm")}, ${chalk.cyan(
+          "--use-yarn"
+        )} and ${chalk.cyan("--use-pnpm")} can be used at a time.`
+      )
+    );
+    process.exit(1);
+  }
+
+  // `--no-git`, `--no-workspace` and `--no-env` can only turn them off.
+  const options = {
+    projectName,
+    template: program.template || settings.template,
+    templatePath: program.templatePath || settings.templatePath,
+    templateIndex: program.templateIndex || settings.templateIndex,
+    packageManager: requestedPackageManagers[0] || settings.packageManager,
+    skipInstall: program.skipInstall || settings.skipInstall,
+    git: program.git && settings.git !== false,
+    workspace: program.workspace && settings.workspace !== false,
+    env: program.env && settings.env !== false,
+    privateKey: program.privateKey,
+    generateKey: program.generateKey,
+    appConfig: {
+      slug: program.appSlug,
+      description:
+        program.appDescription !== undefined
+          ? program.appDescription
+          : settings.appDescription,
+      website: program.website ? splitList(program.website) : settings.website,
+      models:
+        program.models !== undefined
+          ? splitList(program.models)
+          : settings.models,
+    },
+    addons: program.with ? splitList(program.with) : settings.addons,
+    variables: {},
+    variableDefaults: settings.variables,
+    templateSha: program.templateSha,
+    templateChecksum: program.templateChecksum,
+    verbose: program.verbose,
+    offline: program.offline,
+    dryRun: program.dryRun,
+    interactive: false,
+  };
+
+  for (const variable of program.var) {
+    const separator = variable.indexOf("=");
+    if (separator < 1) {
+      logger.error(
+        chalk.red(
+          `Invalid ${chalk.cyan(`--var ${variable}`)}, use ${chalk.cyan(
+            "--var <name>=<value>"
+          )}.`
+        )
+      );
+      process.exit(1);
+    }
+    options.variables[variable.slice(0, separator)] = variable.slice(
+      separator + 1
+    );
+  }
+
+  // Passing the key itself on the command line leaves it in the shell
+  // history, so it can also be piped in.
+  if (options.privateKey === "-" && !process.stdin.isTTY) {
+    options.privateKey = fs.readFileSync(0, "utf8").trim();
+  }
+  // Fail before prompting. A key still `-` is typed in later, and checked
+  // with the others by createDataverseApp().
+  try {
+    checkAppOptions(
+      options.env,
+      options.privateKey === "-" ? undefined : options.privateKey,
+      options.generateKey,
+      options.appConfig
+    );
+  } catch (err) {
+    printError(err);
+    process.exit(1);
+  }
+
+  // check if the project name is valid
+  if (typeof projectName === "undefined" && program.yes) {
+    options.projectName = defaultProjectName;
+  } else if (
+    typeof projectName === "undefined" &&
+    (!process.stdin.isTTY || program.json)
+  ) {
+    logger.error("Please specify the project directory:");
+    logger.info(
+      `  ${chalk.cyan(program.name())} ${chalk.green("<project-directory>")}`
+    );
+    logger.info();
+    logger.info("For example:");
+    logger.info(
+      `  ${chalk.cyan(program.name())} ${chalk.green(defaultProjectName)}`
+    );
+    logger.info();
+    logger.info(
+      `Run ${chalk.cyan(`${program.name()} --help`)} to see all options.`
+    );
+    process.exit(1);
+  }
+
+  // Look for a newer release while the app is being created, and only tell
+  // about it once it is done. In offline mode we don't check at all.
+  const getLatestVersion =
+    program.offline || program.skipUpdateCheck || isUpdateCheckDisabled()
+      ? Promise.resolve(null)
+      : checkForLatestVersion(program.dryRun);
+
+  let getOptions = Promise.resolve(options);
+  if (typeof projectName === "undefined" && !program.yes) {
+    getOptions = promptForOptions(options);
+  } else if (options.privateKey === "-") {
+    getOptions = promptForPrivateKey().then((privateKey) => ({
+      ...options,
+      privateKey,
+    }));
+  }
+
+  getOptions
+    .then((options) => createApp(options))
+    .then(() => getLatestVersion)
+    .then((latest) => {
+      const notice = getUpdateNotice(latest);
+      if (notice) {
+        logger.warn();
+        logger.warn(notice);
+        logger.info();
+      }
+    });
+}
+
+// Print what we need to know about a bug report: the environment, the
+// template that would be used and the Dataverse packages of the project we
+// are run in. The JSON variant is meant for tools to parse.
+function printInfo(options) {
+  const { json } = options;
+  const binaries = {
+    System: ["OS", "CPU"],
+    Binaries: ["Node", "npm", "Yarn", "pnpm"],
+    Utilities: ["Git"],
+  };
+  return Promise.all([
+    envinfo.run(
+      json
+        ? binaries
+        : {
+            ...binaries,
+            Browsers: [
+              "Chrome",
+              "Edge",
+              "Internet Explorer",
+              "Firefox",
+              "Safari",
+            ],
+            npmPackages: [],
+            npmGlobalPackages: ["create-dataverse-app"],
+          },
+      {
+        json,
+        duplicates: true,
+        showNotFound: true,
+      }
+    ),
+    getTemplateInfo(options),
+  ]).then(([environment, templateInfo]) => {
+    const info = {
+      createDataverseApp: { version: packageJson.version, path: __dirname },
+      template: templateInfo,
+      cache: getCacheInfo(),
+      network: { templateMirror: getTemplateMirror(), registry: getRegistry() },
+      project: getProjectInfo(process.cwd()),
+    };
+
+    if (json) {
+      console.log(
+        JSON.stringify({ ...JSON.parse(environment), ...info }, null, 2)
+      );
+      return;
+    }
+
+    console.log(chalk.bold("\nEnvironment Info:"));
+    console.log(
+      `\n  current version of ${packageJson.name}: ${packageJson.version}`
+    );
+    console.log(`  running from ${__dirname}`);
+    console.log(environment);
+
+    console.log("  Template:");
+    if (templateInfo.error) {
+      console.log(`    ${templateInfo.source}: ${templateInfo.error}`);
+    } else {
+      console.log(`    Source: ${templateInfo.source} (${templateInfo.type})`);
+      if (templateInfo.type === "git" || templateInfo.type === "npm") {
+        console.log(
+          `    Latest revision: ${templateInfo.revision || "Not found"}`
+        );
+        console.log(
+          `    Cached revision: ${
+            templateInfo.cachedRevision
+              ? `${templateInfo.cachedRevision} (fetched ${templateInfo.fetchedAt})`
+              : "Not cached"
+          }`
+        );
+      }
+    }
+
+    console.log("  Template cache:");
+    console.log(`    Directory: ${info.cache.dir}`);
+    info.cache.templates.forEach((cached) => {
+      console.log(`    ${cached.source}: ${cached.revision}`);
+    });
+
+    console.log("  Network:");
+    console.log(
+      `    Template mirror: ${info.network.templateMirror || "None"}`
+    );
+    console.log(
+      `    Registry: ${info.network.registry || "From the npm config"}`
+    );
+
+    console.log("  Dataverse app:");
+    if (!info.project) {
+      console.log("    Not found");
+    } else {
+      console.log(`    Directory: ${info.project.root}`);
+      console.log(
+        `    ${configFileName}: ${info.project.config ? "Yes" : "Not found"}`
+      );
+      Object.entries(info.project.packages).forEach(([name, versions]) => {
+        console.log(
+          `    ${name}: ${versions.wanted} => ${
+            versions.installed || "Not installed"
+          }`
+        );
+      });
+    }
+    console.log();
+  });
+}
+
+// The template `--template` resolves to, index names included, with the
+// revision it points to now and the one in the cache.
+function getTemplateInfo(options) {
+  const { template, templatePath, templateIndex, offline } = options;
+  return resolveTemplateName(
+    template,
+    process.cwd(),
+    templateIndex,
+    offline,
+    () => {}
+  ).then((resolvedTemplate) => {
+    let templateSource;
+    try {
+      templateSource = getTemplateSource(
+        resolvedTemplate,
+        process.cwd(),
+        templatePath
+      );
+    } catch (err) {
+      return {
+        source: template,
+        error: err.message,
+      };
+    }
+    return getTemplateRevisionInfo(templateSource, offline);
+  });
+}
+
+// The revision of a git or npm template on the network and in the cache.
+function getTemplateRevisionInfo(templateSource, offline) {
+  const templateInfo = {
+    source: templateSource.label,
+    type: templateSource.type,
+  };
+  if (!isRemoteTemplate(templateSource)) {
+    return Promise.resolve(templateInfo);
+  }
+
+  const cacheDir = getTemplateCacheDir(templateSource);
+  let cache = null;
+  try {
+    cache = fs.readJsonSync(path.join(cacheDir, "cache.json"));
+  } catch (e) {
+    // Not cached yet.
+  }
+  templateInfo.cachedRevision = cache ? cache.revision : null;
+  templateInfo.fetchedAt = cache ? cache.fetchedAt : null;
+
+  const getRevision = offline
+    ? Promise.resolve(null)
+    : resolveTemplateRevision(templateSource).catch(() => null);
+  return getRevision.then((revision) => ({ ...templateInfo, revision }));
+}
+
+function getCacheInfo() {
+  const dir = getCacheDir();
+  const templatesDir = path.join(dir, "templates");
+  const templates = fs.existsSync(templatesDir)
+    ? fs
+        .readdirSync(templatesDir)
+        .map((key) => {
+          try {
+            return fs.readJsonSync(path.join(templatesDir, key, "cache.json"));
+          } catch (e) {
+            return null;
+          }
+        })
+        .filter(Boolean)
+    : [];
+  return { dir, templates };
+}
+
+// The nearest project around `directory`, with the Dataverse packages it
+// depends on, or null when it isn't a Dataverse app.
+function getProjectInfo(directory) {
+  let root = path.resolve(directory);
+  while (!fs.existsSync(path.join(root, "package.json"))) {
+    const parent = path.dirname(root);
+    if (parent === root) {
+      return null;
+    }
+    root = parent;
+  }
+
+  let appPackageJson;
+  try {
+    appPackageJson = fs.readJsonSync(path.join(root, "package.json"));
+  } catch (e) {
+    return null;
+  }
+  const dependencies = {
+    ...appPackageJson.devDependencies,
+    ...appPackageJson.dependencies,
+  };
+  const packages = {};
+  Object.keys(dependencies)
+    .filter((name) => /dataverse/i.test(name))
+    .sort()
+    .forEach((name) => {
+      let installed = null;
+      try {
+        installed = fs.readJsonSync(
+          path.join(root, "node_modules", name, "package.json")
+        ).version;
+      } catch (e) {
+        // Not installed.
+      }
+      packages[name] = { wanted: dependencies[name], installed };
+    });
+
+  const config = fs.existsSync(path.join(root, configFileName));
+  if (!config && !Object.keys(packages).length) {
+    return null;
+  }
+  return { root, name: appPackageJson.name, config, packages };
+}
+
+// Ask for the project name and for every choice that wasn't made on the
+// command line.
+function promptForOptions(options) {
+  const installedPackageManagers = packageManagers.filter((pm) =>
+    getPackageManagerVersion(pm)
+  );
+  const questions = [
+    {
+      type: "text",
+      name: "projectName",
+      message: "Project name:",
+      initial: defaultProjectName,
+      validate: (name) =>
+        validateAppName(path.basename(path.resolve(name.trim()))),
+      format: (name) => name.trim(),
+    },
+    {
+      type: options.template ? null : "select",
+      name: "template",
+      message: "Template:",
+      choices: [
+        { title: "Dataverse app", value: null },
+        { title: "Custom template", value: "custom" },
+      ],
+    },
+    {
+      type: (prev, values) => (values.template === "custom" ? "text" : null),
+      name: "template",
+      message: "Template (directory, git url, archive or npm package):",
+      validate: (template) =>
+        template.trim() ? true : "Please enter a template.",
+      format: (template) => template.trim(),
+    },
+    {
+      type: options.packageManager || options.skipInstall ? null : "select",
+      name: "packageManager",
+      message: "Install dependencies with:",
+      choices: [
+        { title: "The template's package manager", value: null },
+        ...installedPackageManagers.map((pm) => ({ title: pm, value: pm })),
+        { title: "Don't install dependencies", value: "skip" },
+      ],
+    },
+    {
+      // Apps in a workspace are part of its repository.
+      type: (prev, values) =>
+        options.git === false ||
+        (options.workspace !== false &&
+          findWorkspace(path.dirname(path.resolve(values.projectName))))
+          ? null
+          : "confirm",
+      name: "git",
+      message: "Initialize a git repository?",
+      initial: true,
+    },
+    {
+      type: options.env === false ? null : "confirm",
+      name: "env",
+      message: "Create a .env file from the template's example?",
+      initial: true,
+    },
+    {
+      type: (prev, values) =>
+        values.env === false ||
+        options.env === false ||
+        (options.privateKey && options.privateKey !== "-") ||
+        options.generateKey
+          ? null
+          : "select",
+      name: "privateKey",
+      message: "Private key for the .env file:",
+      choices: [
+        { title: "Generate a new key", value: "generate" },
+        { title: "Enter an existing key", value: "-" },
+        { title: "Set it later", value: null },
+      ],
+    },
+    {
+      type: options.appConfig.slug ? null : "text",
+      name: "slug",
+      message: "App slug:",
+      initial: (prev, values) =>
+        getDefaultAppSlug(path.basename(path.resolve(values.projectName))),
+      validate: (slug) => validateAppSlug(slug.trim()),
+      format: (slug) => slug.trim(),
+    },
+    {
+      type: options.appConfig.description !== undefined ? null : "text",
+      name: "description",
+      message: "App description:",
+      format: (description) => description.trim(),
+    },
+    {
+      type: options.appConfig.website ? null : "text",
+      name: "website",
+      message: "App website(s), comma-separated:",
+      initial: defaultWebsite,
+      format: (website) => splitList(website),
+    },
+  ];
+
+  return prompts(questions, {
+    onCancel: () => {
+      console.log();
+      console.log("Aborting.");
+      process.exit(1);
+    },
+  })
+    .then((answers) =>
+      answers.privateKey === "-"
+        ? promptForPrivateKey().then((privateKey) => ({
+            ...answers,
+            privateKey,
+          }))
+        : answers
+    )
+    .then((answers) => {
+      const { slug, description, website, ...otherAnswers } = answers;
+      const result = {
+        ...options,
+        ...otherAnswers,
+        appConfig: {
+          ...options.appConfig,
+          slug: options.appConfig.slug || slug,
+          description:
+            options.appConfig.description !== undefined
+              ? options.appConfig.description
+              : description || undefined,
+          website: options.appConfig.website || website,
+        },
+        interactive: true,
+      };
+      if (answers.privateKey === "generate") {
+        result.privateKey = undefined;
+        result.generateKey = true;
+      } else if (answers.privateKey === null) {
+        result.privateKey = undefined;
+      }
+      if (answers.template === null) {
+        result.template = undefined;
+      }
+      if (answers.packageManager === "skip") {
+        result.packageManager = undefined;
+        result.skipInstall = true;
+      } else if (answers.packageManager === null) {
+        result.packageManager = undefined;
+      }
+      console.log();
+      return result;
+    });
+}
+
+function promptForPrivateKey() {
+  return prompts(
+    {
+      // Mask the key instead of echoing it.
+      type: "password",
+      name: "privateKey",
+      message: "Private key:",
+      validate: (key) => validatePrivateKey(key.trim()),
+      format: (key) => key.trim(),
+    },
+    {
+      onCancel: () => {
+        console.log();
+        console.log("Aborting.");
+        process.exit(1);
+      },
+    }
+  ).then(({ privateKey }) => privateKey);
+}
+
+// The command line front end of createDataverseApp(): logs its progress and
+// errors, and turns SIGINT and SIGTERM into an abort. `options` are the ones
+// init() collected.
+function createApp(options) {
+  const { projectName: name, verbose, interactive } = options;
+  const controller = new AbortController();
+  let exitCode = 1;
+  const onSignal = (signal) => {
+    if (controller.signal.aborted) {
+      return;
+    }
+    exitCode = signal === "SIGINT" ? 130 : 143;
+    logger.info();
+    logger.info(`Received ${signal}.`);
+    controller.abort();
+  };
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+  const removeSignalListeners = () => {
+    process.removeListener("SIGINT", onSignal);
+    process.removeListener("SIGTERM", onSignal);
+  };
+
+  return createDataverseApp({
+    directory: name,
+    template: options.template,
+    templatePath: options.templatePath,
+    templateSha: options.templateSha,
+    templateChecksum: options.templateChecksum,
+    templateIndex: options.templateIndex,
+    packageManager: options.packageManager,
+    install: !options.skipInstall,
+    git: options.git,
+    workspace: options.workspace,
+    env: options.env,
+    privateKey: options.privateKey,
+    generateKey: options.generateKey,
+    offline: options.offline,
+    verbose,
+    appConfig: options.appConfig,
+    addons: options.addons,
+    selectModels: interactive ? promptForModels : undefined,
+    variables: options.variables,
+    variableDefaults: options.variableDefaults,
+    promptForVariables: interactive ? promptForVariables : undefined,
+    onProgress: logger.event,
+    signal: controller.signal,
+    // Keep the package manager's output out of JSON and silent output, but
+    // not its errors.
+    stdio:
+      logger.json || logger.level === "error"
+        ? ["ignore", "ignore", "inherit"]
+        : "inherit",
+    dryRun: options.dryRun,
+  }).then(
+    (app) => {
+      removeSignalListeners();
+      if (app.dryRun) {
+        printPlan(app);
+        return;
+      }
+      logger.result({
+        type: "done",
+        root: app.root,
+        appName: app.appName,
+        packageManager: app.packageManager,
+        installed: app.installed,
+        git: app.git,
+        workspace: app.workspace,
+        configured: app.configured,
+        addons: app.addons,
+        nextSteps: app.nextSteps,
+        postCreate: app.postCreate,
+      });
+      logger.info();
+      logger.info(chalk.green("Done!"));
+      logger.info();
+      logger.info("To get started:");
+      logger.info();
+      logger.info(`cd ${app.appName}`);
+      logger.info();
+      if (app.nextSteps.length) {
+        app.nextSteps.forEach((step) => {
+          logger.info(step);
+          logger.info();
+        });
+      } else {
+        logger.info("add your data models under the models folder");
+        logger.info();
+        if (!app.configured) {
+          logger.info(`configure your app in the ${configFileName} file`);
+          logger.info();
+        }
+      }
+      if (app.privateKey) {
+        logger.info("then run");
+      } else {
+        logger.info("set your private key in the .env file, then run");
+      }
+      logger.info();
+      if (!app.installed) {
+        logger.info(
+          app.workspace
+            ? `${app.packageManager} install (in ${app.workspace})`
+            : `${app.packageManager} install`
+        );
+        logger.info();
+        app.postCreate.forEach((command) => {
+          logger.info(command);
+          logger.info();
+        });
+      }
+      logger.info(getRunCommand(app.packageManager, "dev"));
+    },
+    (err) => {
+      removeSignalListeners();
+      printError(err, name, verbose);
+      process.exit(exitCode);
+    }
+  );
+}
+
+function printPlan(plan) {
+  if (logger.json) {
+    logger.result({ ...plan, type: "plan" });
+    return;
+  }
+  const actions = {
+    create: chalk.green("create"),
+    update: chalk.yellow("update"),
+    keep: chalk.gray("keep  "),
+    delete: chalk.red("delete"),
+  };
+
+  logger.info();
+  logger.info(chalk.bold("Dry run, nothing was written."));
+  logger.info();
+  logger.info(
+    `Directory: ${chalk.green(plan.root)}${
+      plan.createDirectory ? " (would be created)" : ""
+    }`
+  );
+  logger.info(`Template:  ${plan.template.source} (${plan.template.type})`);
+  if (plan.workspace) {
+    logger.info(
+      `Workspace: ${plan.workspace.root} (${plan.workspace.packageManager})`
+    );
+    if (plan.workspace.pattern) {
+      logger.info(
+        `  ${chalk.yellow("update")} ${path.basename(
+          plan.workspace.file
+        )}, adding ${chalk.cyan(plan.workspace.pattern)}`
+      );
+    }
+    plan.workspace.versions.forEach(({ name, from, to }) => {
+      logger.info(`  ${name}: ${from} -> ${chalk.cyan(to)}`);
+    });
+  }
+  logger.info();
+  logger.info("Files:");
+  plan.files.forEach((file) => {
+    logger.info(`  ${actions[file.action]} ${file.path}`);
+  });
+  if (plan.config) {
+    logger.info();
+    logger.info(`${configFileName}:`);
+    Object.entries(plan.config)
+      .filter(([, value]) => value !== undefined)
+      .forEach(([key, value]) => {
+        logger.info(
+          `  ${key}: ${chalk.cyan(
+            Array.isArray(value) ? value.join(", ") : value
+          )}`
+        );
+      });
+  }
+  if (plan.variables) {
+    logger.info();
+    logger.info("Variables:");
+    Object.entries(plan.variables).forEach(([name, value]) => {
+      logger.info(`  ${name}: ${chalk.cyan(value)}`);
+    });
+  }
+  logger.info();
+  logger.info("Commands:");
+  if (!plan.commands.length) {
+    logger.info("  none");
+  }
+  plan.commands.forEach((command) => {
+    logger.info(`  ${chalk.cyan(command)}`);
+  });
+}
+
+function printNameSuggestion(err) {
+  if (err.suggestion) {
+    logger.error();
+    logger.error(`Try ${chalk.green(err.suggestion)} instead.`);
+  }
+}
+
+function printError(err, name, verbose) {
+  if (logger.json) {
+    logger.result({
+      ...err,
+      type: "error",
+      code: err.code || "UNEXPECTED_ERROR",
+      message: err.message,
+    });
+    return;
+  }
+
+  logger.error();
+  if (err instanceof AbortError) {
+    logger.error(err.message);
+  } else if (err instanceof CommandError) {
+    logger.error(`  ${chalk.cyan(err.command)} has failed.`);
+  } else if (err instanceof InvalidProjectNameError && err.reservedNames) {
+    logger.error(
+      chalk.red(
+        `Cannot create a project named ${chalk.green(
+          `"${err.appName}"`
+        )} because a dependency with the same name exists.\n` +
+          `Due to the way npm works, the following names are not allowed:\n\n`
+      ) +
+        chalk.cyan(
+          err.reservedNames.map((depName) => `  ${depName}`).join("\n")
+        ) +
+        chalk.red("\n\nPlease choose a different project name.")
+    );
+    printNameSuggestion(err);
+  } else if (err instanceof InvalidProjectNameError) {
+    logger.error(
+      chalk.red(
+        `Cannot create a project named ${chalk.green(
+          `"${err.appName}"`
+        )} because of npm naming restrictions:\n`
+      )
+    );
+    err.problems.forEach((problem) => {
+      logger.error(chalk.red(`  * ${problem}`));
+    });
+    logger.error(chalk.red("\nPlease choose a different project name."));
+    printNameSuggestion(err);
+  } else if (err instanceof UnsafeDirectoryError) {
+    logger.error(
+      `The directory ${chalk.green(name)} contains files that could conflict:`
+    );
+    logger.error();
+    for (const file of err.conflicts) {
+      try {
+        const stats = fs.lstatSync(path.join(err.root, file));
+        if (stats.isDirectory()) {
+          logger.error(`  ${chalk.blue(`${file}/`)}`);
+        } else {
+          logger.error(`  ${file}`);
+        }
+      } catch (e) {
+        logger.error(`  ${file}`);
+      }
+    }
+    logger.error();
+    logger.error(
+      "Either try using a new directory name, or remove the files listed above."
+    );
+  } else if (err instanceof CreateDataverseAppError) {
+    logger.error(chalk.red(err.message));
+  } else {
+    logger.error(chalk.red("Unexpected error. Please report it as a bug:"));
+    logger.error(err);
+  }
+  if (verbose && err.stack) {
+    logger.verbose(err.stack);
+  }
+  logger.error();
+}
+
+function promptForModels(models) {
+  return prompts(
+    {
+      type: "multiselect",
+      name: "models",
+      message: "Models to include:",
+      choices: models.map((model) => ({
+        title: model,
+        value: model,
+        selected: true,
+      })),
+      instructions: false,
+    },
+    {
+      onCancel: () => {
+        throw new AbortError("Aborted.");
+      },
+    }
+  ).then(({ models }) => models);
+}
+
+// Ask for the values of the template's variables that weren't passed.
+function promptForVariables(variables) {
+  return prompts(
+    variables.map((variable) => ({
+      type: variable.type,
+      name: variable.name,
+      message: variable.message,
+      initial:
+        variable.type === "select"
+          ? Math.max(variable.choices.indexOf(variable.default), 0)
+          : variable.default,
+      choices:
+        variable.choices &&
+        variable.choices.map((choice) => ({ title: choice, value: choice })),
+    })),
+    {
+      onCancel: () => {
+        throw new AbortError("Aborted.");
+      },
+    }
+  );
+}
+
+// Create a Dataverse app in `options.directory`, see the README for the
+// options. Nothing is printed: progress is reported to `options.onProgress`,
+// and failures reject with one of the errors from ./errors once the files
+// created so far have been removed.
+function createDataverseApp(options) {
+  const {
+    directory,
+    cwd = process.cwd(),
+    template,
+    templatePath,
+    templateSha,
+    templateChecksum,
+    templateIndex,
+    packageManager,
+    install: installDependencies = true,
+    git = true,
+    workspace: useWorkspace = true,
+    env = true,
+    generateKey = false,
+    offline = false,
+    verbose = false,
+    appConfig = {},
+    addons: requestedAddons = [],
+    selectModels,
+    variables = {},
+    variableDefaults = {},
+    promptForVariables,
+    onProgress = () => {},
+    signal,
+    stdio = "inherit",
+    dryRun = false,
+  } = options || {};
+  let { privateKey } = options || {};
+
+  let root;
+  let appName;
+  let rootExisted;
+  let existingFiles = null;
+  let existingContents = null;
+  let workspace = null;
+  let workspaceFile = null;
+  let addons = [];
+
+  const checkOptions = Promise.resolve()
+    .then(() => {
+      const unsupportedNodeVersion = !semver.satisfies(
+        // Coerce strings with metadata (i.e. `15.0.0-nightly`).
+        semver.coerce(process.version),
+        ">=16"
+      );
+      if (unsupportedNodeVersion) {
+        throw new EnvironmentError(
+          `You are using Node ${process.version}, please update to Node 16 or higher.`
+        );
+      }
+      if (!directory) {
+        throw new InvalidOptionError(
+          "Please specify the directory to create the app in."
+        );
+      }
+
+      root = path.resolve(cwd, directory);
+      appName = path.basename(root);
+      onProgress({
+        type: "step",
+        step: "validate",
+        message: `Checking the options for ${appName}...`,
+      });
+      checkAppName(appName);
+      checkAppOptions(env, privateKey, generateKey, appConfig);
+
+      return resolveTemplateName(
+        template,
+        cwd,
+        templateIndex,
+        offline,
+        onProgress,
+        dryRun
+      );
+    })
+    .then((resolvedTemplate) => {
+      const templateSource = {
+        ...getTemplateSource(resolvedTemplate, cwd, templatePath),
+        pin: getTemplatePin(templateSha, templateChecksum),
+      };
+      if (templateSha && templateSource.type !== "git") {
+        throw new InvalidOptionError(
+          "Only git templates can be pinned to a commit, pin the others to a checksum instead."
+        );
+      }
+      if (useWorkspace) {
+        workspace = findWorkspace(path.dirname(root));
+      }
+      addons = parseAddons(requestedAddons, Boolean(workspace));
+      if (
+        workspace &&
+        packageManager &&
+        packageManager !== workspace.packageManager
+      ) {
+        throw new InvalidOptionError(
+          `${root} is in a ${workspace.packageManager} workspace, so its dependencies can't be installed with ${packageManager}. ` +
+            "Use the workspace's package manager, or `--no-workspace` to create a standalone app."
+        );
+      }
+      if (templateSource.type === "git" && !checkIsGitInstalled(onProgress)) {
+        throw new EnvironmentError(
+          "Git is not installed. Please install git and try again."
+        );
+      }
+      if (
+        offline &&
+        isRemoteTemplate(templateSource) &&
+        !readCachedTemplate(templateSource)
+      ) {
+        throw new TemplateError(
+          `There is no cached copy of the template ${templateSource.label}, so it cannot be used in offline mode. ` +
+            "Create an app once while online with the same template to cache it.",
+          { template: templateSource.label }
+        );
+      }
+      if (
+        packageManager &&
+        installDependencies &&
+        !getPackageManagerVersion(packageManager, onProgress)
+      ) {
+        throw new EnvironmentError(
+          `You asked to install dependencies with ${packageManager}, but it is not installed.`
+        );
+      }
+      if (
+        workspace &&
+        installDependencies &&
+        !getPackageManagerVersion(workspace.packageManager, onProgress)
+      ) {
+        throw new EnvironmentError(
+          `The workspace in ${workspace.root} uses ${workspace.packageManager}, but it is not installed.`
+        );
+      }
+      checkAborted(signal);
+      return templateSource;
+    });
+
+  if (dryRun) {
+    return checkOptions.then((templateSource) =>
+      planApp(root, appName, templateSource, {
+        verbose,
+        packageManager,
+        install: installDependencies,
+        offline,
+        env,
+        withPrivateKey: Boolean(privateKey || generateKey),
+        appConfig,
+        variables,
+        variableDefaults,
+        addons,
+        git,
+        workspace,
+        onProgress,
+        signal,
+      })
+    );
+  }
+
+  return checkOptions
+    .then((templateSource) => {
+      rootExisted = fs.existsSync(root);
+      fs.ensureDirSync(root);
+      checkSafeToCreateProjectIn(root);
+      removeErrorLogs(root);
+      // Everything else in the directory is ours, and is removed again if
+      // creating the app fails. The files that were there, like .gitignore,
+      // get their contents back.
+      existingFiles = fs.readdirSync(root);
+      existingContents = readExistingContents(root, existingFiles);
+      onProgress({
+        type: "step",
+        step: "create-directory",
+        message: `Creating a new Dataverse app in ${root}.`,
+      });
+      if (workspace) {
+        onProgress({
+          type: "step",
+          step: "workspace",
+          message: `Adding ${appName} to the ${workspace.packageManager} workspace in ${workspace.root}.`,
+        });
+        workspaceFile = registerInWorkspace(workspace, root, onProgress);
+      }
+
+      if (generateKey) {
+        privateKey = generatePrivateKey();
+      }
+      return run(root, appName, templateSource, {
+        verbose,
+        packageManager,
+        install: installDependencies,
+        offline,
+        env,
+        privateKey,
+        appConfig,
+        selectModels,
+        variables,
+        variableDefaults,
+        promptForVariables,
+        addons,
+        workspace,
+        existingFiles,
+        onProgress,
+        signal,
+        stdio,
+      });
+    })
+    .then(({ packageManager, nextSteps, postCreate }) => {
+      if (git && workspace) {
+        onProgress({
+          type: "info",
+          message:
+            "The app is part of the workspace, so no git repository was initialized for it.",
+        });
+      }
+      // Record how the app was created next to the template it came from.
+      writeAppRecord(root, {
+        createdWith: { name: packageJson.name, version: packageJson.version },
+        createdAt: new Date().toISOString(),
+        ...readAppRecord(root),
+        options: {
+          templatePath,
+          templateSha,
+          templateChecksum,
+          packageManager,
+          install: installDependencies,
+          git: git && !workspace,
+          workspace: Boolean(workspace),
+          env,
+          offline,
+          appConfig,
+          addons,
+        },
+      });
+      return {
+        root,
+        appName,
+        packageManager,
+        installed: installDependencies,
+        git: git && !workspace ? initGitRepository(root, onProgress) : false,
+        workspace: workspace ? workspace.root : null,
+        configured: fs.existsSync(path.join(root, configFileName)),
+        addons,
+        nextSteps,
+        postCreate,
+        privateKey,
+      };
+    })
+    .catch((err) => {
+      if (existingFiles) {
+        rollback(
+          root,
+          appName,
+          rootExisted,
+          existingFiles,
+          existingContents,
+          onProgress
+        );
+      }
+      if (workspaceFile !== null) {
+        fs.writeFileSync(workspace.file, workspaceFile);
+      }
+      throw signal && signal.aborted ? new AbortError() : err;
+    });
+}
+
+// Bring the template changes made since the app around the current directory
+// was created into it, using the revision recorded in .dataverse-app.json as
+// the base of a three-way merge.
+function upgrade(options) {
+  const root = findRecordedApp(process.cwd());
+  if (!root) {
+    logger.error(
+      chalk.red(
+        `Could not find ${chalk.green(
+          appRecordFileName
+        )}. Run this command inside an app created with create-dataverse-app.`
+      )
+    );
+    process.exit(1);
+  }
+
+  const record = readAppRecord(root);
+  let baseSource;
+  let newSource;
+  try {
+    if (!record || !record.template || !record.template.source) {
+      throw new TemplateError(
+        `${appRecordFileName} does not say which template the app was created from.`
+      );
+    }
+    baseSource = getTemplateSource(record.template.source, root);
+    if (!isRemoteTemplate(baseSource) || !record.template.revision) {
+      throw new TemplateError(
+        `The app was created from ${baseSource.label}, which has no revisions to upgrade between. ` +
+          "Only git and npm templates can be upgraded.",
+        { template: baseSource.label }
+      );
+    }
+  } catch (err) {
+    printError(err);
+    process.exit(1);
+  }
+
+  const onProgress = logger.event;
+  const tmpDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), "create-dataverse-app-")
+  );
+  fs.ensureDirSync(path.join(tmpDir, "base"));
+  fs.ensureDirSync(path.join(tmpDir, "new"));
+  return resolveTemplateName(
+    options.template,
+    process.cwd(),
+    options.templateIndex,
+    options.offline,
+    onProgress,
+    options.dryRun
+  )
+    .then((resolvedTemplate) => {
+      newSource = resolvedTemplate
+        ? getTemplateSource(resolvedTemplate, process.cwd())
+        : baseSource;
+      return getTemplateAtRevision(
+        baseSource,
+        record.template.revision,
+        path.join(tmpDir, "base"),
+        options.offline,
+        onProgress
+      );
+    })
+    .then((base) =>
+      getTemplate(
+        newSource,
+        path.join(tmpDir, "new"),
+        options.offline,
+        onProgress,
+        undefined,
+        options.dryRun
+      ).then((latest) => {
+        if (
+          newSource.label === baseSource.label &&
+          latest.revision === base.revision
+        ) {
+          logger.info();
+          logger.info(
+            `The app is up to date with ${newSource.label} (${base.revision}).`
+          );
+          return;
+        }
+
+        return Promise.all([
+          renderRecordedTemplate(
+            root,
+            record,
+            base.dir,
+            path.join(tmpDir, "base-app")
+          ),
+          renderRecordedTemplate(
+            root,
+            record,
+            latest.dir,
+            path.join(tmpDir, "new-app")
+          ),
+        ]).then(([baseDir, latestDir]) => {
+          const files = Array.from(
+            new Set(
+              listTemplateFiles(baseDir).concat(listTemplateFiles(latestDir))
+            )
+          )
+            // Lockfiles are updated by installing, not merged.
+            .filter(
+              (file) =>
+                file !== appRecordFileName &&
+                file !== manifestFileName &&
+                !getLockFiles([file]).length
+            )
+            .sort();
+          const results = mergeTemplateFiles(
+            root,
+            baseDir,
+            latestDir,
+            files,
+            {
+              ours: "app",
+              base: `template ${base.revision}`,
+              theirs: `template ${latest.revision || newSource.label}`,
+            },
+            options.dryRun
+          );
+          if (!options.dryRun) {
+            writeAppRecord(root, {
+              ...record,
+              template: {
+                source: newSource.label,
+                type: newSource.type,
+                revision: latest.revision,
+                checksum: latest.checksum,
+              },
+              upgradedWith: {
+                name: packageJson.name,
+                version: packageJson.version,
+              },
+              upgradedAt: new Date().toISOString(),
+            });
+          }
+          printUpgradeReport(root, results, base, latest, options.dryRun);
+          if (results.some((result) => result.action === "conflict")) {
+            process.exitCode = 1;
+          }
+        });
+      })
+    )
+    .catch((err) => {
+      printError(err);
+      // Not process.exit(), so that the temporary directory is removed.
+      process.exitCode = 1;
+    })
+    .finally(() => fs.removeSync(tmpDir));
+}
+
+// The template files in `templateDir` the way they were copied into the app,
+// with its dataverse-template.json applied using the values recorded when the
+// app was created. Resolves with the directory they are in, a copy in `dir`
+// when there is a manifest, so that the template cache is left alone.
+function renderRecordedTemplate(root, record, templateDir, dir) {
+  return Promise.resolve()
+    .then(() => readManifest(templateDir))
+    .then((manifest) => {
+      if (!manifest) {
+        return templateDir;
+      }
+      const recorded = record.variables || {};
+      const appName = recorded.appName || path.basename(root);
+      const given = {};
+      // Variables the template added since are left to their defaults.
+      manifest.variables
+        .filter((variable) => recorded[variable.name] !== undefined)
+        .forEach((variable) => {
+          given[variable.name] = recorded[variable.name];
+        });
+      return getVariableValues(
+        manifest,
+        {
+          appName,
+          appSlug: recorded.appSlug || getDefaultAppSlug(appName),
+          packageManager:
+            recorded.packageManager || getPackageManager(root, () => {}),
+        },
+        given
+      ).then((values) => {
+        fs.copySync(templateDir, dir);
+        applyManifest(dir, manifest, values, () => {});
+        return dir;
+      });
+    });
+}
+
+function printUpgradeReport(root, results, base, latest, dryRun) {
+  const actions = {
+    added: chalk.green("added   "),
+    updated: chalk.green("updated "),
+    merged: chalk.green("merged  "),
+    deleted: chalk.red("deleted "),
+    conflict: chalk.red("conflict"),
+  };
+  logger.info();
+  logger.info(
+    `${dryRun ? "Upgrading would change" : "Upgraded"} ${chalk.green(
+      root
+    )} from ${base.revision} to ${latest.revision || "the new template"}:`
+  );
+  logger.info();
+  if (!results.length) {
+    logger.info("  no files, the template changes are already in the app.");
+  }
+  results.forEach((result) => {
+    logger.info(
+      `  ${actions[result.action]} ${result.path}${
+        result.reason ? chalk.gray(` (${result.reason})`) : ""
+      }`
+    );
+  });
+
+  const conflicts = results.filter((result) => result.action === "conflict");
+  if (conflicts.length) {
+    logger.info();
+    logger.warn(
+      `${conflicts.length} file${
+        conflicts.length === 1 ? "" : "s"
+      } could not be merged automatically. Resolve the conflict markers (<<<<<<<), or bring the listed changes over by hand.`
+    );
+  }
+  if (results.some((result) => result.path === "package.json")) {
+    logger.info();
+    logger.info("package.json changed, install the dependencies again.");
+  }
+}
+
+// Manage the defaults in the user's rc file, or the project's one with
+// `--project`.
+function config(action, key, value, options) {
+  const file = options.project
+    ? path.join(process.cwd(), rcFileName)
+    : getUserRcFile();
+  try {
+    if (action === "set") {
+      if (!key || value === undefined) {
+        throw new InvalidOptionError(
+          `Pass the setting and its value: ${packageJson.name} config set <key> <value>`
+        );
+      }
+      const parsed = setSetting(file, key, value);
+      logger.info(`Set ${chalk.cyan(key)} in ${chalk.green(file)}.`);
+      logger.result({ type: "setting", path: file, key, value: parsed });
+      return;
+    }
+
+    const { files } = loadSettings(process.cwd());
+    const shown = options.project
+      ? files.filter((rcFile) => rcFile.path === file)
+      : files;
+    if (action === "get") {
+      if (!key) {
+        throw new InvalidOptionError(
+          `Pass the setting to get: ${packageJson.name} config get <key>`
+        );
+      }
+      const setting = getSetting(shown, key);
+      if (setting === undefined) {
+        process.exitCode = 1;
+      } else if (logger.json) {
+        logger.result({ type: "setting", key, value: setting });
+      } else if (!Array.isArray(setting)) {
+        logger.info(
+          typeof setting === "object"
+            ? JSON.stringify(setting, null, 2)
+            : String(setting)
+        );
+      } else {
+        logger.info(setting.join(","));
+      }
+      return;
+    }
+    if (action === "list") {
+      logger.result({
+        type: "settings",
+        files: shown.map((rcFile) => ({
+          path: rcFile.path,
+          settings: rcFile.contents,
+        })),
+      });
+      if (!shown.length) {
+        logger.info(
+          `No settings yet, add one with ${chalk.cyan(
+            `${packageJson.name} config set <key> <value>`
+          )}.`
+        );
+      }
+      shown.forEach((rcFile) => {
+        logger.info(chalk.green(rcFile.path));
+        flattenSettings(rcFile.contents).forEach(([name, setting]) => {
+          logger.info(`  ${name} = ${setting}`);
+        });
+      });
+      return;
+    }
+    throw new InvalidOptionError(
+      `Unknown config action ${action}, use set, get or list.`
+    );
+  } catch (err) {
+    printError(err);
+    process.exit(1);
+  }
+}
+
+// `[key, value]` pairs for the settings, with dotted keys for the nested ones.
+function flattenSettings(settings, prefix = "") {
+  return Object.entries(settings).flatMap(([name, setting]) =>
+    setting && typeof setting === "object" && !Array.isArray(setting)
+      ? flattenSettings(setting, `${prefix}${name}.`)
+      : [
+          [
+            `${prefix}${name}`,
+            Array.isArray(setting) ? setting.join(",") : setting,
+          ],
+        ]
+  );
+}
+
+// Add the add-ons `names` to the app around the current directory.
+function add(names, options) {
+  const root = findAppRoot(process.cwd()) || findRecordedApp(process.cwd());
+  if (!root) {
+    logger.error(
+      chalk.red(
+        `Could not find ${chalk.green(
+          configFileName
+        )}. Run this command inside a Dataverse app.`
+      )
+    );
+    process.exit(1);
+  }
+
+  // Apps created with `--no-workspace` are standalone even inside one.
+  const record = readAppRecord(root);
+  const inWorkspace =
+    record && record.options
+      ? record.options.workspace
+      : Boolean(findWorkspace(path.dirname(root)));
+  const actions = {
+    create: chalk.green("create"),
+    update: chalk.yellow("update"),
+    keep: chalk.gray("keep  "),
+  };
+  try {
+    const addons = parseAddons(splitList(names), inWorkspace);
+    const results = addAddons(
+      root,
+      addons,
+      getAppToolchain(root),
+      options.force,
+      logger.event
+    );
+    logger.result({ type: "addons", root, addons, files: results });
+    logger.info();
+    results.forEach((result) => {
+      logger.info(`  ${actions[result.action]} ${result.path}`);
+    });
+    if (
+      !options.force &&
+      results.some(
+        (result) => result.action === "keep" && !isMergedFile(result.path)
+      )
+    ) {
+      logger.info();
+      logger.info(
+        `Kept the files that were already there, use ${chalk.cyan(
+          "--force"
+        )} to overwrite them.`
+      );
+    }
+  } catch (err) {
+    printError(err);
+    process.exit(1);
+  }
+}
+
+// The commit and checksum the template must match, checked before they are
+// used.
+function getTemplatePin(templateSha, templateChecksum) {
+  if (templateSha && !/^[0-9a-f]{7,40}$/i.test(templateSha)) {
+    throw new InvalidOptionError(
+      `Invalid template commit ${templateSha}, use at least the first 7 characters of the commit SHA.`
+    );
+  }
+  if (templateChecksum && !/^[0-9a-f]{64}$/i.test(templateChecksum)) {
+    throw new InvalidOptionError(
+      `Invalid template checksum ${templateChecksum}, use a sha256 in hexadecimal.`
+    );
+  }
+  return {
+    sha: templateSha ? templateSha.toLowerCase() : null,
+    checksum: templateChecksum ? templateChecksum.toLowerCase() : null,
+  };
+}
+
+// The checks init() makes on the command line flags, for callers of
+// createDataverseApp().
+function checkAppOptions(env, privateKey, generateKey, appConfig) {
+  if (appConfig.slug && validateAppSlug(appConfig.slug) !== true) {
+    throw new InvalidOptionError(
+      `Invalid app slug: ${validateAppSlug(appConfig.slug)}`
+    );
+  }
+  if (privateKey && generateKey) {
+    throw new InvalidOptionError(
+      "A private key can't be both given and generated."
+    );
+  }
+  if ((privateKey || generateKey) && env === false) {
+    throw new InvalidOptionError(
+      "The private key is written to the .env file, so it can't be used without one."
+    );
+  }
+  if (privateKey && validatePrivateKey(privateKey) !== true) {
+    throw new InvalidOptionError(
+      `Invalid private key: ${validatePrivateKey(privateKey)}`
+    );
+  }
+}
+
+function checkAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new AbortError();
+  }
+}
+
+function checkSafeToCreateProjectIn(root) {
+  const conflicts = getConflictingFiles(root);
+  if (conflicts.length) {
+    throw new UnsafeDirectoryError(
+      `The directory ${root} contains files that could conflict: ${conflicts.join(
+        ", "
+      )}.`,
+      { root, conflicts }
+    );
+  }
+}
+
+// Work out what creating the app would do, without writing to `root`: which
+// files would be created or changed, the values filled in dataverse.config.ts
+// and the commands that would be run. The template is still fetched, into a
+// temporary directory, to know its files. `options` are the ones of
+// createDataverseApp() with their defaults applied.
+function planApp(root, appName, templateSource, options) {
+  const {
+    verbose,
+    install: installDependencies,
+    offline,
+    env,
+    withPrivateKey,
+    appConfig,
+    variables,
+    variableDefaults,
+    addons,
+    git,
+    workspace,
+    onProgress,
+    signal,
+  } = options;
+  let { packageManager } = options;
+  const rootExists = fs.existsSync(root);
+  if (rootExists) {
+    checkSafeToCreateProjectIn(root);
+  }
+  // The template's manifest leaves these alone, like when creating the app.
+  const existingFiles = rootExists ? fs.readdirSync(root) : [];
+
+  const tmpDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), "create-dataverse-app-")
+  );
+  return getTemplate(templateSource, tmpDir, offline, onProgress, signal, true)
+    .then(({ dir: templateDir }) => {
+      checkAppName(appName, getTemplateDependencies(templateDir));
+      const existsInRoot = (file) =>
+        rootExists && fs.existsSync(path.join(root, file));
+      // Files that are already there are kept, so they are the ones that get
+      // changed.
+      const readFile = (file) => {
+        const filePath = existsInRoot(file)
+          ? path.join(root, file)
+          : path.join(templateDir, file);
+        return fs.existsSync(filePath)
+          ? fs.readFileSync(filePath, "utf8")
+          : null;
+      };
+      const files = new Map(
+        listTemplateFiles(templateDir).map((file) => [
+          file,
+          existsInRoot(file) ? "keep" : "create",
+        ])
+      );
+      const change = (file) => {
+        if (files.get(file) !== "create") {
+          files.set(file, existsInRoot(file) ? "update" : "create");
+        }
+      };
+      change(appRecordFileName);
+
+      let config = null;
+      const configSource = readFile(configFileName);
+      if (configSource !== null) {
+        const current = readConfig(configSource);
+        checkModels(current, appConfig.models);
+        config = getAppConfigValues(current, appName, appConfig);
+        change(configFileName);
+        if (config.models) {
+          getModels(configSource)
+            .filter((model) => !config.models.includes(model.name))
+            .forEach((model) => {
+              const schema = `models/${model.schemaName}`;
+              if (existsInRoot(schema)) {
+                files.set(schema, "delete");
+              } else {
+                files.delete(schema);
+              }
+            });
+        }
+      } else if (
+        Object.values(appConfig).some((value) => value !== undefined)
+      ) {
+        onProgress({
+          type: "warning",
+          message: `The template has no ${configFileName}, so the app settings would not be applied.`,
+        });
+      }
+
+      let gitignore = readFile(".gitignore") || "";
+      if (
+        existsInRoot(".gitignore") &&
+        fs.existsSync(path.join(templateDir, ".gitignore"))
+      ) {
+        const merged = mergeGitignore(
+          gitignore,
+          fs.readFileSync(path.join(templateDir, ".gitignore"), "utf8")
+        );
+        if (merged !== gitignore) {
+          change(".gitignore");
+        }
+        gitignore = merged;
+      }
+
+      if (env) {
+        const hasEnv = files.has(".env") || existsInRoot(".env");
+        const example = envExampleFiles.find(
+          (file) => files.has(file) || existsInRoot(file)
+        );
+        if (!hasEnv && (example || withPrivateKey)) {
+          files.set(".env", "create");
+        } else if (hasEnv && withPrivateKey) {
+          change(".env");
+        }
+        if (files.has(".env") && !isGitIgnored(gitignore, ".env")) {
+          change(".gitignore");
+        }
+      }
+
+      let appPackageJson = null;
+      try {
+        appPackageJson = JSON.parse(readFile("package.json"));
+      } catch (e) {
+        // The template has no package.json, or it is not valid.
+      }
+      if (appPackageJson && appPackageJson.name !== appName) {
+        change("package.json");
+      }
+      let workspacePlan = null;
+      if (workspace) {
+        getLockFiles(Array.from(files.keys())).forEach((file) =>
+          files.delete(file)
+        );
+        const versions = appPackageJson
+          ? getSharedVersionChanges(workspace, root, appPackageJson)
+          : [];
+        if (
+          appPackageJson &&
+          (appPackageJson.packageManager || versions.length)
+        ) {
+          change("package.json");
+        }
+        packageManager = workspace.packageManager;
+        workspacePlan = {
+          root: workspace.root,
+          packageManager,
+          pattern: getWorkspacePattern(workspace, root),
+          file: workspace.file,
+          versions,
+        };
+      } else if (packageManager) {
+        const declared = appPackageJson && appPackageJson.packageManager;
+        if (declared && declared.split("@")[0] !== packageManager) {
+          change("package.json");
+        }
+      } else {
+        packageManager = getPackageManager(templateDir, onProgress);
+      }
+
+      const manifest = readManifest(templateDir);
+      const getValues = manifest
+        ? getVariableValues(
+            manifest,
+            {
+              appName,
+              appSlug: appConfig.slug || getDefaultAppSlug(appName),
+              packageManager,
+            },
+            variables,
+            null,
+            variableDefaults
+          )
+        : Promise.resolve(null);
+      return getValues.then((values) => {
+        if (manifest) {
+          files.delete(manifestFileName);
+          manifest.delete
+            .filter((deleted) => !isExistingFile(deleted, existingFiles))
+            .forEach((deleted) => {
+              const normalized = path.posix
+                .normalize(deleted)
+                .replace(/\/$/, "");
+              Array.from(files.keys())
+                .filter(
+                  (file) =>
+                    file === normalized || file.startsWith(`${normalized}/`)
+                )
+                .forEach((file) =>
+                  existsInRoot(file)
+                    ? files.set(file, "delete")
+                    : files.delete(file)
+                );
+            });
+        }
+
+        const commands = [];
+        if (installDependencies) {
+          checkPackageManager(
+            workspace ? workspace.root : getExistingDir(root),
+            packageManager,
+            onProgress
+          );
+          // The template's package.json picks the version of Yarn 2+.
+          const yarnBerry = isYarnBerry(
+            packageManager,
+            workspace ? workspace.root : templateDir,
+            onProgress
+          );
+          commands.push(
+            [
+              ...Object.entries(getInstallEnv(offline, yarnBerry)).map(
+                ([name, value]) => `${name}=${value}`
+              ),
+              packageManager,
+              ...getInstallArgs(packageManager, verbose, offline, yarnBerry),
+            ].join(" ") + (workspace ? ` (in ${workspace.root})` : "")
+          );
+          if (manifest) {
+            commands.push(...getPostCreateCommands(manifest, values));
+          }
+        }
+        // Existing files are kept, and the JSON ones get the missing settings.
+        getAddonFiles(addons).forEach((file) => {
+          if (!files.has(file) && !existsInRoot(file)) {
+            files.set(file, "create");
+          } else if (isMergedFile(file)) {
+            change(file);
+          }
+        });
+        if (git && !workspace) {
+          const gitCommands = getGitInitCommands(root, onProgress);
+          if (gitCommands.length && !isGitIgnored(gitignore, "node_modules")) {
+            change(".gitignore");
+          }
+          commands.push(...gitCommands);
+        }
+
+        return {
+          dryRun: true,
+          root,
+          appName,
+          createDirectory: !rootExists,
+          template: {
+            source: templateSource.label,
+            type: templateSource.type,
+          },
+          files: Array.from(files, ([file, action]) => ({
+            path: file,
+            action,
+          })).sort((a, b) => a.path.localeCompare(b.path)),
+          config,
+          variables: values,
+          packageManager,
+          workspace: workspacePlan,
+          commands,
+        };
+      });
+    })
+    .finally(() => fs.removeSync(tmpDir));
+}
+
+// The files copyTemplate() would copy, relative to `templateDir` and with `/`
+// as separator.
+function listTemplateFiles(templateDir, dir = templateDir) {
+  return fs.readdirSync(dir).flatMap((name) => {
+    const file = path.join(dir, name);
+    if (file === path.join(templateDir, ".git") || name === "node_modules") {
+      return [];
+    }
+    if (fs.lstatSync(file).isDirectory()) {
+      return listTemplateFiles(templateDir, file);
+    }
+    return [path.relative(templateDir, file).split(path.sep).join("/")];
+  });
+}
+
+// A sha256 of the paths and contents of the template's files, which doesn't
+// depend on how the template was fetched.
+function getTemplateChecksum(templateDir) {
+  const hash = crypto.createHash("sha256");
+  listTemplateFiles(templateDir)
+    .sort()
+    .forEach((file) => {
+      hash.update(`${file}\0`);
+      hash.update(fs.readFileSync(path.join(templateDir, file)));
+      hash.update("\0");
+    });
+  return hash.digest("hex");
+}
+
+function getFileChecksum(file) {
+  return crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(file))
+    .digest("hex");
+}
+
+// Check the fetched template against the commit and checksum it was pinned
+// to with `--template-sha` and `--template-checksum`, so that a tampered
+// template is never used.
+function verifyTemplate(templateSource, template) {
+  const checksum = getTemplateChecksum(template.dir);
+  const { pin = {} } = templateSource;
+  if (pin.sha && !(template.revision || "").startsWith(pin.sha)) {
+    throw new TemplateError(
+      `${templateSource.label} is at commit ${template.revision}, not at the expected ${pin.sha}.`,
+      { template: templateSource.label, revision: template.revision }
+    );
+  }
+  // Archives can also be pinned to the checksum of the archive itself.
+  if (
+    pin.checksum &&
+    pin.checksum !== checksum &&
+    !(
+      templateSource.type === "archive" &&
+      pin.checksum === getFileChecksum(templateSource.path)
+    )
+  ) {
+    throw new TemplateError(
+      `The files of ${templateSource.label} don't match the expected checksum ${pin.checksum}, their checksum is ${checksum}.`,
+      { template: templateSource.label, checksum }
+    );
+  }
+  return { ...template, checksum };
+}
+
+// The closest directory to `dir` that exists, `dir` itself if it does.
+function getExistingDir(dir) {
+  while (!fs.existsSync(dir) && path.dirname(dir) !== dir) {
+    dir = path.dirname(dir);
+  }
+  return dir;
+}
+
+// Remove what we created in `root`, leaving the files that were there before
+// alone, and `root` itself too when we created it.
+// The contents of the `files` in `root` that are files, by name.
+function readExistingContents(root, files) {
+  return Object.fromEntries(
+    files
+      .filter((file) => fs.statSync(path.join(root, file)).isFile())
+      .map((file) => [file, fs.readFileSync(path.join(root, file))])
+  );
+}
+
+function rollback(
+  root,
+  appName,
+  rootExisted,
+  existingFiles,
+  existingContents,
+  onProgress
+) {
+  if (!fs.existsSync(root)) {
+    return;
+  }
+  onProgress({
+    type: "step",
+    step: "rollback",
+    message: "Aborting installation.",
+  });
+  Object.entries(existingContents).forEach(([file, contents]) => {
+    const filePath = path.join(root, file);
+    if (
+      !fs.existsSync(filePath) ||
+      !contents.equals(fs.readFileSync(filePath))
+    ) {
+      onProgress({ type: "info", message: `Restoring ${file}...` });
+      fs.writeFileSync(filePath, contents);
+    }
+  });
+  fs.readdirSync(root)
+    .filter((file) => !existingFiles.includes(file))
+    .forEach((file) => {
+      onProgress({
+        type: "info",
+        message: `Deleting generated file... ${file}`,
+      });
+      fs.removeSync(path.join(root, file));
+    });
+  if (!rootExisted && !fs.readdirSync(root).length) {
+    // Delete target folder if empty
+    onProgress({
+      type: "info",
+      message: `Deleting ${appName}/ from ${path.resolve(root, "..")}`,
+    });
+    fs.removeSync(root);
+  }
+}
+
+// Create the app in `root` from `template`, the template source. `options`
+// are the ones of createDataverseApp() with their defaults applied.
+function run(root, appName, template, options) {
+  const {
+    verbose,
+    install: installDependencies,
+    offline,
+    env,
+    privateKey,
+    appConfig,
+    selectModels,
+    addons,
+    workspace,
+    onProgress,
+    signal,
+    stdio,
+  } = options;
+  let { packageManager } = options;
+  const tmpDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), "create-dataverse-app-")
+  );
+  return getTemplate(template, tmpDir, offline, onProgress, signal)
+    .then(({ dir, revision, checksum }) => {
+      checkAborted(signal);
+      checkAppName(appName, getTemplateDependencies(dir));
+      copyTemplate(dir, root, onProgress);
+      writeAppRecord(root, {
+        template: {
+          source: template.label,
+          type: template.type,
+          revision,
+          checksum,
+        },
+      });
+    })
+    .finally(() => fs.removeSync(tmpDir))
+    .then(() =>
+      configureApp(root, appName, appConfig, selectModels, onProgress)
+    )
+    .then(() => {
+      checkAborted(signal);
+      if (env) {
+        createEnvFile(root, privateKey, onProgress);
+      }
+      setPackageName(root, appName, onProgress);
+      if (workspace) {
+        prepareWorkspaceApp(workspace, root, onProgress);
+        packageManager = workspace.packageManager;
+      } else if (packageManager) {
+        removeOtherPackageManagerField(root, packageManager, onProgress);
+      } else {
+        packageManager = getPackageManager(root, onProgress);
+      }
+      return customizeApp(root, appName, packageManager, options);
+    })
+    .then(({ nextSteps, postCreate }) => {
+      // Once the dependencies are installed, so that the add-ons install
+      // from the lockfile.
+      const addAppAddons = () => {
+        if (!addons.length) {
+          return;
+        }
+        onProgress({
+          type: "step",
+          step: "addons",
+          message: `Adding ${addons.join(", ")}.`,
+        });
+        addAddons(
+          root,
+          addons,
+          getAppToolchain(root, packageManager, onProgress),
+          false,
+          onProgress
+        );
+      };
+      const app = { packageManager, nextSteps, postCreate };
+      if (!installDependencies) {
+        addAppAddons();
+        return app;
+      }
+      // Workspace packages are installed together, from the root.
+      const installRoot = workspace ? workspace.root : root;
+      checkPackageManager(installRoot, packageManager, onProgress);
+      onProgress({
+        type: "step",
+        step: "install",
+        message: `Installing packages with ${packageManager}${
+          workspace ? ` from ${installRoot}` : ""
+        }. This might take a couple of minutes.`,
+      });
+      return install(
+        installRoot,
+        packageManager,
+        verbose,
+        offline,
+        signal,
+        onProgress,
+        stdio
+      )
+        .then(addAppAddons)
+        .then(() =>
+          runPostCreateCommands(root, postCreate, signal, onProgress, stdio)
+        )
+        .then(() => app);
+    });
+}
+
+// Apply the template's dataverse-template.json, if it has one. Resolves with
+// the next steps and the post-create commands it lists.
+function customizeApp(root, appName, packageManager, options) {
+  const {
+    appConfig,
+    variables,
+    variableDefaults,
+    promptForVariables,
+    existingFiles,
+    onProgress,
+  } = options;
+  return Promise.resolve()
+    .then(() => readManifest(root))
+    .then((manifest) => {
+      if (!manifest) {
+        return { nextSteps: [], postCreate: [] };
+      }
+      return getVariableValues(
+        manifest,
+        {
+          appName,
+          appSlug: appConfig.slug || getDefaultAppSlug(appName),
+          packageManager,
+        },
+        variables,
+        promptForVariables,
+        variableDefaults
+      ).then((values) => {
+        onProgress({
+          type: "step",
+          step: "customize",
+          message: `Customizing the app with the template's ${manifestFileName}.`,
+        });
+        applyManifest(root, manifest, values, onProgress, existingFiles);
+        // `upgrade` renders the template again with the same values.
+        writeAppRecord(root, { ...readAppRecord(root), variables: values });
+        return {
+          nextSteps: getNextSteps(manifest, values),
+          postCreate: getPostCreateCommands(manifest, values),
+        };
+      });
+    });
+}
+
+// The commands run one after the other, in a shell since templates write
+// them as command lines.
+function runPostCreateCommands(root, commands, signal, onProgress, stdio) {
+  return commands.reduce(
+    (previous, command) =>
+      previous.then(() => {
+        onProgress({
+          type: "step",
+          step: "post-create",
+          message: `Running ${command}...`,
+        });
+        return spawnCommand(command, [], {
+          cwd: root,
+          shell: true,
+          stdio,
+          signal,
+          onProgress,
+        });
+      }),
+    Promise.resolve()
+  );
+}
+
+function isGitUrl(template) {
+  return (
+    /^(git\+)?(https?|ssh|git|file):\/\//.test(template) ||
+    // scp-like syntax, e.g. git@github.com:my-org/my-template.git
+    /^[\w.-]+@[\w.-]+:/.test(template) ||
+    /\.git(#.*)?$/.test(template)
+  );
+}
+
+// Look a template name like `default` up in the template index, resolving
+// with what it points to. Anything that isn't a name, and names the index
+// doesn't have, are left for getTemplateSource(), they may be npm packages.
+// A dry run leaves the cached copy of the index alone.
+function resolveTemplateName(
+  template,
+  cwd,
+  templateIndex,
+  offline,
+  onProgress,
+  dryRun
+) {
+  if (
+    !template ||
+    !/^[a-z0-9][\w.-]*$/i.test(template) ||
+    /\.(tgz|tar\.gz|zip)$/.test(template) ||
+    isGitUrl(template) ||
+    fs.existsSync(path.resolve(cwd, template))
+  ) {
+    return Promise.resolve(template);
+  }
+  return loadTemplateIndex(templateIndex, {
+    offline,
+    cacheDir: getCacheDir(),
+    onProgress,
+    dryRun,
+  }).then(
+    (index) => {
+      const entry = findTemplate(index, template);
+      if (!entry) {
+        return template;
+      }
+      onProgress({
+        type: "info",
+        message: `Using the ${template} template from ${index.source}: ${entry.template}`,
+      });
+      return entry.template;
+    },
+    (err) => {
+      onProgress({
+        type: "warning",
+        message: `${err.message} Looking for ${template} on npm instead.`,
+      });
+      return template;
+    }
+  );
+}
+
+// Print the templates of the template index.
+function listTemplates(options) {
+  return loadTemplateIndex(options.templateIndex, {
+    offline: options.offline,
+    cacheDir: getCacheDir(),
+    onProgress: logger.event,
+  }).then(
+    (index) => {
+      logger.result({ ...index, type: "templates" });
+      logger.info();
+      logger.info(`Templates from ${index.source}:`);
+      logger.info();
+      const width = Math.max(...index.templates.map((t) => t.name.length));
+      index.templates.forEach((entry) => {
+        logger.info(
+          `  ${chalk.green(entry.name.padEnd(width))}  ${entry.description}`
+        );
+        const details = [entry.framework, ...entry.tags].filter(Boolean);
+        if (details.length) {
+          logger.info(
+            `  ${" ".repeat(width)}  ${chalk.gray(details.join(", "))}`
+          );
+        }
+      });
+      logger.info();
+      logger.info(
+        `Create an app from one with ${chalk.cyan(
+          `${packageJson.name} my-app --template <name>`
+        )}.`
+      );
+    },
+    (err) => {
+      printError(err);
+      process.exit(1);
+    }
+  );
+}
+
+// Work out where the template should be fetched from. A template can be:
+// - a local directory (optionally prefixed with `file:`)
+// - a .tgz, .tar.gz or .zip archive on disk
+// - a git url, optionally followed by `#<branch|tag|commit>`, and by
+//   `:<path>` to use a folder of the repository
+// - a package name on npm, optionally with a version (`my-template@1.2.3`)
+// `templatePath` is the folder inside the template to use instead of its
+// root, for templates that live in a monorepo.
+function getTemplateSource(template, originalDirectory, templatePath) {
+  if (!template) {
+    template = defaultTemplate;
+  }
+  let subdirectory = templatePath ? checkTemplatePath(templatePath) : null;
+
+  if (/\.(tgz|tar\.gz|zip)$/.test(template) && !isGitUrl(template)) {
+    const archivePath = path.resolve(
+      originalDirectory,
+      template.replace(/^file:/, "")
+    );
+    if (!fs.existsSync(archivePath)) {
+      throw new TemplateError(
+        `The template archive ${archivePath} does not exist.`,
+        { template: archivePath }
+      );
+    }
+    return {
+      type: "archive",
+      path: archivePath,
+      format: template.endsWith(".zip") ? "zip" : "tgz",
+      subdirectory,
+      label: subdirectory ? `${archivePath} (${subdirectory})` : archivePath,
+    };
+  }
+
+  if (isGitUrl(template)) {
+    const hashIndex = template.lastIndexOf("#");
+    const url = hashIndex === -1 ? template : template.slice(0, hashIndex);
+    let ref = hashIndex === -1 ? null : template.slice(hashIndex + 1);
+    // Refs can't contain a colon, so it starts the path.
+    const colonIndex = ref ? ref.indexOf(":") : -1;
+    if (colonIndex !== -1) {
+      if (subdirectory) {
+        throw new InvalidOptionError(
+          `${template} already names a folder of the repository, so --template-path can't be used with it.`
+        );
+      }
+      subdirectory = checkTemplatePath(ref.slice(colonIndex + 1));
+      ref = ref.slice(0, colonIndex);
+    }
+    return {
+      type: "git",
+      url: url.replace(/^git\+/, ""),
+      ref: ref || null,
+      subdirectory,
+      // The label is also what gets recorded, so it includes the folder.
+      label:
+        templatePath && subdirectory
+          ? `${url}#${ref || ""}:${subdirectory}`
+          : template,
+    };
+  }
+
+  const localPath = path.resolve(
+    originalDirectory,
+    template.replace(/^file:/, "")
+  );
+  if (
+    template.startsWith("file:") ||
+    (fs.existsSync(localPath) && fs.lstatSync(localPath).isDirectory())
+  ) {
+    const folder = path.join(localPath, subdirectory || "");
+    if (subdirectory && !fs.existsSync(folder)) {
+      throw new TemplateError(`${localPath} has no folder ${subdirectory}.`, {
+        template: localPath,
+      });
+    }
+    return { type: "local", path: folder, label: folder };
+  }
+
+  // Strip the version so that scoped packages with a version still validate.
+  const packageName = template.replace(/(.)@.*$/, "$1");
+  if (validateProjectName(packageName).validForOldPackages) {
+    if (subdirectory) {
+      throw new InvalidOptionError(
+        "A folder of the template can only be picked for git repositories, archives and directories, not for npm packages."
+      );
+    }
+    return { type: "npm", name: template, label: template };
+  }
+
+  throw new TemplateError(
+    `Could not find a template named "${template}". It is not a directory, an archive, a git url or a valid npm package name.`,
+    { template }
+  );
+}
+
+// Returns the normalized `templatePath`, or null for the root of the
+// template.
+function checkTemplatePath(templatePath) {
+  const normalized = path.posix
+    .normalize(templatePath.replace(/\\/g, "/"))
+    .replace(/^\.\/|\/+$/g, "");
+  if (normalized.startsWith("/") || normalized.split("/")[0] === "..") {
+    throw new InvalidOptionError(
+      `The template path ${templatePath} must be inside the template.`
+    );
+  }
+  return normalized === "." || !normalized ? null : normalized;
+}
+
+function isRemoteTemplate(templateSource) {
+  return templateSource.type === "git" || templateSource.type === "npm";
+}
+
+// Resolve with `{ dir, revision, checksum }`, the directory holding the
+// template files, the revision they are at, which is null for local
+// templates, and the checksum of the files. Rejects when they don't match
+// what the template was pinned to.
+function getTemplate(
+  templateSource,
+  tmpDir,
+  offline,
+  onProgress,
+  signal,
+  dryRun
+) {
+  return getTemplateFiles(
+    templateSource,
+    tmpDir,
+    offline,
+    onProgress,
+    signal,
+    dryRun
+  ).then((template) =>
+    // Freshly fetched templates were checked before being cached.
+    template.checksum ? template : verifyTemplate(templateSource, template)
+  );
+}
+
+// Remote templates are looked up in the cache first, and stored there once
+// they have been fetched, unless this is a dry run.
+function getTemplateFiles(
+  templateSource,
+  tmpDir,
+  offline,
+  onProgress,
+  signal,
+  dryRun
+) {
+  const reportStep = (message) =>
+    onProgress({ type: "step", step: "fetch-template", message });
+
+  if (!isRemoteTemplate(templateSource)) {
+    reportStep(`Using template from ${templateSource.label}...`);
+    return fetchTemplate(templateSource, tmpDir, signal, onProgress).then(
+      (dir) => ({ dir, revision: null })
+    );
+  }
+
+  if (offline) {
+    const cached = readCachedTemplate(templateSource);
+    if (!cached) {
+      return Promise.reject(
+        new TemplateError(
+          `There is no cached copy of ${templateSource.label}.`,
+          { template: templateSource.label }
+        )
+      );
+    }
+    reportStep(
+      `Using cached template ${templateSource.label} (${cached.revision})...`
+    );
+    return Promise.resolve(cached);
+  }
+
+  return resolveTemplateRevision(templateSource, signal, onProgress)
+    .catch((err) => {
+      if (err instanceof AbortError) {
+        throw err;
+      }
+      // We can't tell what the latest revision is, so use the last one we
+      // fetched if there is one.
+      const cached = readCachedTemplate(templateSource);
+      if (cached) {
+        onProgress({
+          type: "warning",
+          message: `Could not reach ${getTemplateHost(
+            templateSource
+          )}, falling back to the cached revision ${cached.revision} of ${
+            templateSource.label
+          }.`,
+        });
+        return cached.revision;
+      }
+      return null;
+    })
+    .then((revision) => {
+      const cached = revision && readCachedTemplate(templateSource, revision);
+      if (cached) {
+        reportStep(
+          `Using cached template ${templateSource.label} (${cached.revision})...`
+        );
+        return cached;
+      }
+
+      reportStep(`Fetching template from ${templateSource.label}...`);
+      return fetchTemplate(templateSource, tmpDir, signal, onProgress).then(
+        (templateDir) => {
+          const fetchedRevision = getFetchedRevision(
+            templateSource,
+            templateDir,
+            onProgress
+          );
+          // A template that doesn't match its pin must not end up in the
+          // cache, where later runs without the pin would pick it up. It is
+          // removed with the temporary directory.
+          const fetched = verifyTemplate(templateSource, {
+            dir: templateDir,
+            revision: fetchedRevision,
+          });
+          return dryRun
+            ? fetched
+            : {
+                ...fetched,
+                dir: writeTemplateToCache(
+                  templateSource,
+                  templateDir,
+                  fetchedRevision,
+                  onProgress
+                ),
+              };
+        }
+      );
+    });
+}
+
+// Resolve with `{ dir, revision }` for the template at an earlier
+// `revision`, from the cache if it is there. It is not added to the cache,
+// which holds the latest revisions.
+function getTemplateAtRevision(
+  templateSource,
+  revision,
+  tmpDir,
+  offline,
+  onProgress,
+  signal
+) {
+  const cached = readCachedTemplate(templateSource, revision);
+  if (cached) {
+    return Promise.resolve(cached);
+  }
+  if (offline) {
+    return Promise.reject(
+      new TemplateError(
+        `There is no cached copy of ${templateSource.label} at ${revision}.`,
+        { template: templateSource.label }
+      )
+    );
+  }
+  const pinnedSource =
+    templateSource.type === "git"
+      ? { ...templateSource, ref: revision }
+      : {
+          ...templateSource,
+          name: `${templateSource.name.replace(/(.)@.*$/, "$1")}@${revision}`,
+        };
+  return fetchTemplate(pinnedSource, tmpDir, signal, onProgress).then(
+    (dir) => ({ dir, revision })
+  );
+}
+
+// Ask the remote which revision the template currently points to, without
+// downloading it: the commit for git, and the version for npm packages.
+function resolveTemplateRevision(templateSource, signal, onProgress) {
+  if (templateSource.type === "git") {
+    if (templateSource.ref && /^[0-9a-f]{40}$/i.test(templateSource.ref)) {
+      return Promise.resolve(templateSource.ref.toLowerCase());
+    }
+    return spawnCommand(
+      "git",
+      [
+        "ls-remote",
+        getGitUrl(templateSource.url),
+        templateSource.ref || "HEAD",
+      ],
+      { stdio: ["ignore", "pipe", "ignore"], signal, onProgress }
+    ).then((output) => {
+      const lines = output.trim().split("\n").filter(Boolean);
+      // Annotated tags are listed twice, the `^{}` entry holds the commit.
+      const line = lines.find((l) => l.endsWith("^{}")) || lines[0];
+      return line ? line.split(/\s+/)[0] : null;
+    });
+  }
+  return spawnCommand(
+    "npm",
+    ["view", templateSource.name, "version", "--json"],
+    { stdio: ["ignore", "pipe", "ignore"], signal, onProgress }
+  ).then((output) => {
+    const version = JSON.parse(output);
+    // A range can match several versions, npm would pick the highest.
+    return Array.isArray(version) ? version[version.length - 1] : version;
+  });
+}
+
+function getFetchedRevision(templateSource, templateDir, onProgress) {
+  if (templateSource.type === "git") {
+    return execCommand("git rev-parse HEAD", { cwd: templateDir, onProgress });
+  }
+  return fs.readJsonSync(path.join(templateDir, "package.json")).version;
+}
+
+function getCacheDir() {
+  if (process.env.CREATE_DATAVERSE_APP_CACHE) {
+    return path.resolve(process.env.CREATE_DATAVERSE_APP_CACHE);
+  }
+  if (process.platform === "win32") {
+    return path.join(
+      process.env.LOCALAPPDATA || path.join(os.homedir(), "AppData", "Local"),
+      packageJson.name,
+      "Cache"
+    );
+  }
+  if (process.platform === "darwin") {
+    return path.join(os.homedir(), "Library", "Caches", packageJson.name);
+  }
+  return path.join(
+    process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"),
+    packageJson.name
+  );
+}
+
+// Each template source gets its own folder, holding one sub-folder per
+// revision and a `cache.json` pointing at the most recently fetched one.
+function getTemplateCacheDir(templateSource) {
+  const key = crypto
+    .createHash("sha1")
+    .update(`${templateSource.type}:${templateSource.label}`)
+    .digest("hex")
+    .slice(0, 16);
+  return path.join(getCacheDir(), "templates", key);
+}
+
+// Returns `{ dir, revision }` for a cached template, or null when there is
+// none. Without a revision the most recently fetched one is used.
+function readCachedTemplate(templateSource, revision) {
+  const cacheDir = getTemplateCacheDir(templateSource);
+  if (!revision) {
+    try {
+      revision = fs.readJsonSync(path.join(cacheDir, "cache.json")).revision;
+    } catch (e) {
+      return null;
+    }
+  }
+  const dir = path.join(cacheDir, revision);
+  return fs.existsSync(dir) ? { dir, revision } : null;
+}
+
+function writeTemplateToCache(
+  templateSource,
+  templateDir,
+  revision,
+  onProgress
+) {
+  const cacheDir = getTemplateCacheDir(templateSource);
+  const dir = path.join(cacheDir, revision);
+  try {
+    fs.removeSync(path.join(templateDir, ".git"));
+    fs.removeSync(dir);
+    fs.moveSync(templateDir, dir);
+    fs.writeJsonSync(
+      path.join(cacheDir, "cache.json"),
+      {
+        source: templateSource.label,
+        revision,
+        fetchedAt: new Date().toISOString(),
+      },
+      { spaces: 2 }
+    );
+    return dir;
+  } catch (err) {
+    // The cache is only an optimization, so don't fail when it is not
+    // writable.
+    onProgress({
+      type: "warning",
+      message: `Could not cache the template in ${cacheDir}: ${err.message}`,
+    });
+    return templateDir;
+  }
+}
+
+// Where a git or npm template is fetched from, for error messages.
+function getTemplateHost(templateSource) {
+  if (templateSource.type === "git") {
+    return getHost(getGitUrl(templateSource.url));
+  }
+  return getRegistry() ? getHost(getRegistry()) : "the npm registry";
+}
+
+// Fetch the template into `tmpDir`, resolving with the directory that holds
+// the template files.
+function fetchTemplate(templateSource, tmpDir, signal, onProgress) {
+  return fetchTemplateFiles(templateSource, tmpDir, signal, onProgress)
+    .catch((err) => {
+      if (!(err instanceof CommandError)) {
+        throw err;
+      }
+      // A repository on this machine isn't a network problem.
+      const hint =
+        templateSource.type === "git" &&
+        /^(git\+)?file:/.test(templateSource.url)
+          ? "Check that the repository exists."
+          : "Check your network, or set a mirror with --template-mirror or --registry.";
+      throw new TemplateError(
+        `Could not fetch ${templateSource.label} from ${getTemplateHost(
+          templateSource
+        )}: ${err.message} ${hint}`,
+        { template: templateSource.label, command: err.command }
+      );
+    })
+    .then((dir) => getTemplateFolder(templateSource, dir));
+}
+
+// The folder of the fetched template in `dir` to create the app from.
+function getTemplateFolder(templateSource, dir) {
+  if (!templateSource.subdirectory) {
+    return dir;
+  }
+  const folder = path.join(dir, templateSource.subdirectory);
+  if (!fs.existsSync(folder) || !fs.lstatSync(folder).isDirectory()) {
+    throw new TemplateError(
+      `${templateSource.label} has no folder ${templateSource.subdirectory}.`,
+      { template: templateSource.label }
+    );
+  }
+  return folder;
+}
+
+function fetchTemplateFiles(templateSource, tmpDir, signal, onProgress) {
+  switch (templateSource.type) {
+    case "local":
+      if (!fs.existsSync(templateSource.path)) {
+        return Promise.reject(
+          new TemplateError(
+            `The template directory ${templateSource.path} does not exist.`,
+            { template: templateSource.path }
+          )
+        );
+      }
+      return Promise.resolve(templateSource.path);
+    case "archive":
+      return extractArchive(
+        templateSource.path,
+        templateSource.format,
+        path.join(tmpDir, "template")
+      );
+    case "npm":
+      return spawnCommand("npm", ["pack", "--quiet", templateSource.name], {
+        cwd: tmpDir,
+        stdio: ["ignore", "pipe", "inherit"],
+        signal,
+        onProgress,
+      }).then((output) => {
+        const tarball = output.trim().split("\n").pop().trim();
+        return extractArchive(
+          path.join(tmpDir, tarball),
+          "tgz",
+          path.join(tmpDir, "template")
+        );
+      });
+    case "git": {
+      const templateDir = path.join(tmpDir, "template");
+      const url = getGitUrl(templateSource.url);
+      const git = (args, cwd) =>
+        spawnCommand("git", args, { cwd, signal, onProgress });
+      if (templateSource.subdirectory) {
+        // Only check out the folder, and for remote repositories only
+        // download its files.
+        return git([
+          "clone",
+          "--quiet",
+          "--no-checkout",
+          ...(/^(https?|ssh|git):\/\/|^[\w.-]+@/.test(url)
+            ? ["--filter=blob:none"]
+            : []),
+          url,
+          templateDir,
+        ])
+          .then(() =>
+            git(
+              ["sparse-checkout", "set", templateSource.subdirectory],
+              templateDir
+            )
+          )
+          .then(() =>
+            git(
+              ["checkout", "--quiet", templateSource.ref || "HEAD"],
+              templateDir
+            )
+          )
+          .then(() => templateDir);
+      }
+      return git(["clone", "--quiet", url, templateDir])
+        .then(() => {
+          if (templateSource.ref) {
+            return git(
+              ["checkout", "--quiet", templateSource.ref],
+              templateDir
+            );
+          }
+        })
+        .then(() => templateDir);
+    }
+    default:
+      return Promise.reject(
+        new TemplateError(`Unknown template type: ${templateSource.type}`)
+      );
+  }
+}
+
+// Archives usually wrap their contents in a single folder (`package/` for
+// npm tarballs, `<repo>-<branch>/` for GitHub downloads), so we unwrap it.
+function extractArchive(archivePath, format, dest) {
+  fs.ensureDirSync(dest);
+  try {
+    if (format === "zip") {
+      new AdmZip(archivePath).extractAllTo(dest, true);
+    } else {
+      tar.x({ file: archivePath, cwd: dest, sync: true });
+    }
+  } catch (err) {
+    return Promise.reject(
+      new TemplateError(`Could not extract ${archivePath}: ${err.message}`, {
+        template: archivePath,
+      })
+    );
+  }
+  const entries = fs.readdirSync(dest);
+  if (
+    entries.length === 1 &&
+    fs.lstatSync(path.join(dest, entries[0])).isDirectory()
+  ) {
+    return Promise.resolve(path.join(dest, entries[0]));
+  }
+  return Promise.resolve(dest);
+}
+
+function copyTemplate(templateDir, root, onProgress) {
+  const gitignorePath = path.join(root, ".gitignore");
+  const templateGitignorePath = path.join(templateDir, ".gitignore");
+  // The directory may already have a .gitignore, which isn't overwritten but
+  // gets the template's lines, like node_modules.
+  if (fs.existsSync(gitignorePath) && fs.existsSync(templateGitignorePath)) {
+    const contents = fs.readFileSync(gitignorePath, "utf8");
+    const merged = mergeGitignore(
+      contents,
+      fs.readFileSync(templateGitignorePath, "utf8")
+    );
+    if (merged !== contents) {
+      fs.writeFileSync(gitignorePath, merged);
+      onProgress({
+        type: "info",
+        message: "Added the template's .gitignore lines to .gitignore.",
+      });
+    }
+  }
+  fs.copySync(templateDir, root, {
+    overwrite: false,
+    errorOnExist: false,
+    filter: (src) => {
+      // Don't carry over the template's git history, the app gets its own.
+      if (src === path.join(templateDir, ".git")) {
+        return false;
+      }
+      return path.basename(src) !== "node_modules";
+    },
+  });
+}
+
+const envExampleFiles = [".env.example", ".env.sample", ".env.template"];
+
+const privateKeyVariable = "PRIVATE_KEY";
+
+// Order of the secp256k1 curve, valid private keys are between 1 and n - 1.
+const secp256k1Order = BigInt(
+  "0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141"
+);
+
+// Returns true for a well-formed private key, or the problem with it.
+function validatePrivateKey(key) {
+  if (!/^(0x)?[0-9a-fA-F]{64}$/.test(key)) {
+    return "a private key is 64 hexadecimal characters, optionally prefixed with 0x.";
+  }
+  const value = BigInt(`0x${key.replace(/^0x/, "")}`);
+  if (value === 0n || value >= secp256k1Order) {
+    return "the key is out of range for secp256k1.";
+  }
+  return true;
+}
+
+function generatePrivateKey() {
+  let key;
+  do {
+    key = crypto.randomBytes(32).toString("hex");
+  } while (validatePrivateKey(key) !== true);
+  return `0x${key}`;
+}
+
+function splitList(value) {
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function getDefaultAppSlug(appName) {
+  return appName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function validateAppSlug(slug) {
+  if (!/^[a-z0-9][a-z0-9_-]*$/.test(slug)) {
+    return "use lowercase letters, digits, - and _, starting with a letter or digit.";
+  }
+  return true;
+}
+
+// Fill in dataverse.config.ts with the app's name and the given settings, so
+// that the app runs without editing it by hand. When no models were given,
+// `selectModels` can pick among the template's ones.
+function configureApp(root, appName, appConfig, selectModels, onProgress) {
+  const configPath = path.join(root, configFileName);
+  if (!fs.existsSync(configPath)) {
+    if (Object.values(appConfig).some((value) => value !== undefined)) {
+      onProgress({
+        type: "warning",
+        message: `The template has no ${configFileName}, so the app settings were not applied.`,
+      });
+    }
+    return Promise.resolve();
+  }
+
+  const source = fs.readFileSync(configPath, "utf8");
+  const current = readConfig(source);
+  try {
+    checkModels(current, appConfig.models);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+
+  const getSelectedModels =
+    appConfig.models === undefined && selectModels && current.models.length
+      ? Promise.resolve(selectModels(current.models))
+      : Promise.resolve(appConfig.models);
+
+  return getSelectedModels.then((models) => {
+    const values = getAppConfigValues(current, appName, {
+      ...appConfig,
+      models,
+    });
+    fs.writeFileSync(configPath, updateConfig(source, values));
+    // Drop the schemas of the models that were left out.
+    if (models) {
+      getModels(source)
+        .filter((model) => !models.includes(model.name))
+        .forEach((model) =>
+          fs.removeSync(path.join(root, "models", model.schemaName))
+        );
+    }
+    onProgress({
+      type: "step",
+      step: "configure",
+      message: `Configured ${configFileName} for ${values.slug}.`,
+    });
+  });
+}
+
+function checkModels(current, models) {
+  const unknownModels = (models || []).filter(
+    (model) => !current.models.includes(model)
+  );
+  if (unknownModels.length) {
+    throw new InvalidOptionError(
+      `The template has no model named ${unknownModels.join(
+        ", "
+      )}. Its models are: ${current.models.join(", ")}.`
+    );
+  }
+}
+
+// The values to fill in the `current` config with, undefined ones are left
+// as they are.
+function getAppConfigValues(current, appName, appConfig) {
+  return {
+    name: appName,
+    slug: appConfig.slug || getDefaultAppSlug(appName),
+    description: appConfig.description,
+    website:
+      appConfig.website ||
+      (current.website.some(Boolean) ? undefined : [defaultWebsite]),
+    models: appConfig.models,
+  };
+}
+
+// Create `.env` from the template's example file, filling in the private key
+// when there is one. `.env` holds secrets, so make sure git ignores it.
+function createEnvFile(root, privateKey, onProgress) {
+  const envPath = path.join(root, ".env");
+  const example = envExampleFiles.find((file) =>
+    fs.existsSync(path.join(root, file))
+  );
+  if (!fs.existsSync(envPath) && (example || privateKey)) {
+    if (example) {
+      fs.copySync(path.join(root, example), envPath);
+    } else {
+      fs.writeFileSync(envPath, "");
+    }
+    onProgress({
+      type: "step",
+      step: "env",
+      message: example ? `Created .env from ${example}.` : "Created .env.",
+    });
+  }
+  if (!fs.existsSync(envPath)) {
+    return;
+  }
+
+  if (privateKey) {
+    setEnvVariable(envPath, privateKeyVariable, privateKey);
+    onProgress({
+      type: "info",
+      message: `Saved the private key as ${privateKeyVariable} in .env, keep a backup of it somewhere safe.`,
+    });
+  }
+  ensureGitIgnored(root, ".env", onProgress);
+}
+
+function setEnvVariable(envPath, name, value) {
+  const contents = fs.readFileSync(envPath, "utf8");
+  const line = new RegExp(`^[ \\t]*(export[ \\t]+)?${name}[ \\t]*=.*$`, "m");
+  if (line.test(contents)) {
+    fs.writeFileSync(envPath, contents.replace(line, `${name}=${value}`));
+  } else {
+    const separator = contents && !contents.endsWith("\n") ? os.EOL : "";
+    fs.appendFileSync(envPath, `${separator}${name}=${value}${os.EOL}`);
+  }
+}
+
+// `contents` of a .gitignore with the lines of `templateContents` it doesn't
+// have yet appended.
+function mergeGitignore(contents, templateContents) {
+  const lines = contents.split(/\r?\n/).map((line) => line.trim());
+  const missing = templateContents
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !lines.includes(line));
+  if (!missing.length) {
+    return contents;
+  }
+  const separator = contents && !contents.endsWith("\n") ? os.EOL : "";
+  return `${contents}${separator}${missing.join(os.EOL)}${os.EOL}`;
+}
+
+// Whether the `.gitignore` `contents` ignore `file` at the root.
+function isGitIgnored(contents, file) {
+  const patterns = [
+    file,
+    `/${file}`,
+    `${file}/`,
+    `/${file}/`,
+    `${file}*`,
+    `/${file}*`,
+  ];
+  return contents.split(/\r?\n/).some((line) => patterns.includes(line.trim()));
+}
+
+function ensureGitIgnored(root, file, onProgress) {
+  const gitignorePath = path.join(root, ".gitignore");
+  const contents = fs.existsSync(gitignorePath)
+    ? fs.readFileSync(gitignorePath, "utf8")
+    : "";
+  if (isGitIgnored(contents, file)) {
+    return;
+  }
+  const separator = contents && !contents.endsWith("\n") ? os.EOL : "";
+  fs.appendFileSync(gitignorePath, `${separator}${file}${os.EOL}`);
+  onProgress({ type: "info", message: `Added ${file} to .gitignore.` });
+}
+
+function isInGitRepository(root, onProgress) {
+  try {
+    execCommand("git rev-parse --is-inside-work-tree", {
+      cwd: root,
+      onProgress,
+    });
+    return true;
+  } catch (e) {
+    return false;
+  }
 }
 
-let projectName;
+function isInMercurialRepository(root, onProgress) {
+  try {
+    execCommand("hg --cwd . root", { cwd: root, onProgress });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
 
-function init() {
-  const program = new commander.Command(packageJson.name)
-    .version(packageJson.version)
-    .arguments("<project-directory>")
-    .usage(`${chalk.green("<project-directory>")} [options]`)
-    .action((name) => {
-      projectName = name;
-    })
-    .option("--info", "print environment debug info")
-    .option("--help", () => {
-      console.log(
-        `    Only ${chalk.green("<project-directory>")} is required.`
-      );
-      console.log();
-    })
-    .parse(process.argv);
+function getGitConfig(key, root, onProgress) {
+  try {
+    return execCommand(`git config --get ${key}`, { cwd: root, onProgress });
+  } catch (e) {
+    return "";
+  }
+}
 
-  // if use --info, print environment debug info
-  if (program.info) {
-    console.log(chalk.bold("\nEnvironment Info:"));
-    console.log(
-      `\n  current version of ${packageJson.name}: ${packageJson.version}`
+// The commands initGitRepository() would run for an app in `root`.
+function getGitInitCommands(root, onProgress) {
+  const dir = getExistingDir(root);
+  if (
+    !checkIsGitInstalled(onProgress) ||
+    isInGitRepository(dir, onProgress) ||
+    isInMercurialRepository(dir, onProgress)
+  ) {
+    return [];
+  }
+  const defaultBranch =
+    getGitConfig("init.defaultBranch", dir, onProgress) || "main";
+  const commands = [
+    "git init --quiet",
+    `git symbolic-ref HEAD refs/heads/${defaultBranch}`,
+    "git add -A",
+  ];
+  if (
+    getGitConfig("user.name", dir, onProgress) &&
+    getGitConfig("user.email", dir, onProgress)
+  ) {
+    commands.push(
+      'git commit --quiet -m "Initialize project using Create Dataverse App"'
     );
-    console.log(`  running from ${__dirname}`);
-    return envinfo
-      .run(
-        {
-          System: ["OS", "CPU"],
-          Binaries: ["Node", "npm", "Yarn"],
-          Browsers: [
-            "Chrome",
-            "Edge",
-            "Internet Explorer",
-            "Firefox",
-            "Safari",
-          ],
-          npmPackages: [],
-          npmGlobalPackages: ["create-dataverse-app"],
-        },
-        {
-          duplicates: true,
-          showNotFound: true,
-        }
-      )
-      .then(console.log);
+  }
+  return commands;
+}
+
+// Start a fresh repository for the app and commit the template files to it.
+// Failing to do so is not fatal, the app works fine without it.
+function initGitRepository(root, onProgress) {
+  const warn = (message) => onProgress({ type: "warning", message });
+  const git = (command) => execCommand(command, { cwd: root, onProgress });
+  if (!checkIsGitInstalled(onProgress)) {
+    warn("Git is not installed, skipping git initialization.");
+    return false;
+  }
+  // The app is already part of a repository, e.g. a monorepo or a directory
+  // cloned from the user's own remote.
+  if (
+    isInGitRepository(root, onProgress) ||
+    isInMercurialRepository(root, onProgress)
+  ) {
+    return false;
   }
 
-  // check if the project name is valid
-  if (typeof projectName === "undefined") {
-    console.error("Please specify the project directory:");
-    console.log(
-      `  ${chalk.cyan(program.name())} ${chalk.green("<project-directory>")}`
+  const defaultBranch =
+    getGitConfig("init.defaultBranch", root, onProgress) || "main";
+  try {
+    git("git init --quiet");
+    // `git init --initial-branch` needs git 2.28, this works everywhere.
+    git(`git symbolic-ref HEAD refs/heads/${defaultBranch}`);
+  } catch (e) {
+    warn("Git repo not initialized.");
+    fs.removeSync(path.join(root, ".git"));
+    return false;
+  }
+  onProgress({
+    type: "step",
+    step: "git-init",
+    message: `Initialized a git repository on branch ${defaultBranch}.`,
+  });
+
+  // Whatever the template's .gitignore says, the dependencies are never
+  // committed.
+  ensureGitIgnored(root, "node_modules", onProgress);
+  try {
+    git("git add -A");
+  } catch (e) {
+    warn("Could not stage the app files in git.");
+    return true;
+  }
+
+  if (
+    !getGitConfig("user.name", root, onProgress) ||
+    !getGitConfig("user.email", root, onProgress)
+  ) {
+    warn(
+      "Git user identity is not configured, so the initial commit was not created.\n" +
+        'Run `git config --global user.name "Your Name"` and `git config --global user.email "you@example.com"`,\n' +
+        'then `git commit -m "Initial commit"` to commit the staged files.'
     );
-    console.log();
-    console.log("For example:");
-    console.log(
-      `  ${chalk.cyan(program.name())} ${chalk.green("my-dataverse-app")}`
+    return true;
+  }
+
+  try {
+    git(
+      'git commit --quiet -m "Initialize project using Create Dataverse App"'
     );
-    console.log();
-    console.log(
-      `Run ${chalk.cyan(`${program.name()} --help`)} to see all options.`
+    onProgress({ type: "info", message: "Created the initial commit." });
+  } catch (e) {
+    warn(
+      "Git commit not created. The app files are staged, commit them when you are ready."
     );
-    process.exit(1);
   }
+  return true;
+}
 
-  // We first check the registry directly via the API, and if that fails, we try
-  // the slower `npm view [package] version` command.
-  //
-  // This is important for users in environments where direct access to npm is
-  // blocked by a firewall, and packages are provided exclusively via a private
-  // registry.
-  checkForLatestVersion()
-    .catch(() => {
-      try {
-        return execSync("npm view create-dataverse-app version")
-          .toString()
-          .trim();
-      } catch (e) {
-        return null;
-      }
+// Report `commandLine`, run in `cwd`, as a debug event to `onProgress`.
+// Returns the function that reports its exit code and how long it took.
+function reportCommand(commandLine, cwd, onProgress) {
+  const startedAt = Date.now();
+  onProgress({
+    type: "debug",
+    command: commandLine,
+    message: `$ ${commandLine}${cwd ? ` (in ${cwd})` : ""}`,
+  });
+  return (code) => {
+    const duration = Date.now() - startedAt;
+    onProgress({
+      type: "debug",
+      command: commandLine,
+      exitCode: code,
+      duration,
+      message: `${commandLine} exited with ${code} in ${(
+        duration / 1000
+      ).toFixed(1)}s`,
+    });
+  };
+}
+
+// Run a quick command whose output we need right away, like `git config` or
+// `pnpm --version`, and return its trimmed stdout. Throws when it fails. Like
+// spawnCommand(), it is reported as debug events to `options.onProgress`.
+function execCommand(commandLine, options) {
+  const { onProgress = () => {}, ...execOptions } = options || {};
+  const reportExit = reportCommand(commandLine, execOptions.cwd, onProgress);
+  let code = 0;
+  try {
+    return execSync(commandLine, {
+      stdio: ["ignore", "pipe", "ignore"],
+      ...execOptions,
     })
-    .then((latest) => {
-      if (latest && semver.lt(packageJson.version, latest)) {
-        console.log();
-        console.error(
-          chalk.yellow(
-            `You are running \`create-dataverse-app\` ${packageJson.version}, which is behind the latest release (${latest}).\n\n` +
-              "We recommend always using the latest version of create-dataverse-app if possible."
-          )
+      .toString()
+      .trim();
+  } catch (err) {
+    code = typeof err.status === "number" ? err.status : null;
+    throw err;
+  } finally {
+    reportExit(code);
+  }
+}
+
+// Spawn a command, resolving with its stdout when it is piped. Rejects with a
+// CommandError naming the failed command, or with an AbortError once the
+// command has exited when `options.signal` is aborted. The command and how
+// long it took are reported as debug events to `options.onProgress`.
+function spawnCommand(command, args, options) {
+  const { signal, onProgress = () => {}, ...spawnOptions } = options || {};
+  const commandLine = [command, ...args].join(" ");
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new AbortError());
+      return;
+    }
+    const reportExit = reportCommand(commandLine, spawnOptions.cwd, onProgress);
+    const child = spawn(command, args, {
+      stdio: "inherit",
+      env: getRegistryEnv(),
+      ...spawnOptions,
+    });
+    const onAbort = () => child.kill();
+    if (signal) {
+      signal.addEventListener("abort", onAbort);
+    }
+    let output = "";
+    if (child.stdout) {
+      child.stdout.on("data", (data) => (output += data));
+    }
+    child.on("error", () => {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      reject(
+        new CommandError(`\`${commandLine}\` could not be started.`, {
+          command: commandLine,
+        })
+      );
+    });
+    child.on("close", (code) => {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      reportExit(code);
+      if (signal && signal.aborted) {
+        reject(new AbortError());
+      } else if (code !== 0) {
+        reject(
+          new CommandError(`\`${commandLine}\` has failed.`, {
+            command: commandLine,
+          })
         );
-        console.log();
-        // console.log(
-        //   "The latest instructions for creating a new app can be found here:\n" +
-        //     "https://create-dataverse-app.dev/docs/getting-started/"
-        // );
-        // console.log();
       } else {
-        const useYarn = isUsingYarn();
-        createApp(
-          projectName,
-          program.verbose,
-          program.scriptsVersion,
-          program.template,
-          useYarn,
-          program.usePnp
-        );
+        resolve(output);
       }
     });
+  });
+}
 
-  // check if git is installed
-  if (checkIsGitInstalled() === "undefined") {
-    console.log("Git is not installed. Please install git and try again.");
-    process.exit(1);
+// Pick the package manager when none was asked for: the one declared in the
+// template's `packageManager` field, then the one we were run with, then npm.
+function getPackageManager(root, onProgress) {
+  let templatePackageManager = null;
+  try {
+    const { packageManager } = fs.readJsonSync(path.join(root, "package.json"));
+    // e.g. `pnpm@8.6.0`
+    templatePackageManager = packageManager && packageManager.split("@")[0];
+  } catch (e) {
+    // The template has no package.json, or it is not valid.
+  }
+  if (packageManagers.includes(templatePackageManager)) {
+    if (getPackageManagerVersion(templatePackageManager, onProgress)) {
+      return templatePackageManager;
+    }
+    onProgress({
+      type: "warning",
+      message: `The template uses ${templatePackageManager}, but it is not installed.`,
+    });
   }
+
+  const userAgentPackageManager = getUserAgentPackageManager();
+  if (
+    userAgentPackageManager &&
+    getPackageManagerVersion(userAgentPackageManager, onProgress)
+  ) {
+    return userAgentPackageManager;
+  }
+  return "npm";
 }
 
-function createApp(name, verbose, version, template, useYarn, usePnp) {
-  const unsupportedNodeVersion = !semver.satisfies(
-    // Coerce strings with metadata (i.e. `15.0.0-nightly`).
-    semver.coerce(process.version),
-    ">=16"
+// Name the package after the app instead of the template, so that apps
+// created from the same template, e.g. in one workspace, don't share a name.
+function setPackageName(root, appName, onProgress) {
+  const packageJsonPath = path.join(root, "package.json");
+  let appPackageJson;
+  try {
+    appPackageJson = fs.readJsonSync(packageJsonPath);
+  } catch (e) {
+    return;
+  }
+  if (appPackageJson.name === appName) {
+    return;
+  }
+  fs.writeJsonSync(
+    packageJsonPath,
+    { ...appPackageJson, name: appName },
+    { spaces: 2 }
   );
+  onProgress({
+    type: "info",
+    message: `Named the package ${appName} in package.json.`,
+  });
+}
 
-  if (unsupportedNodeVersion) {
-    console.log(
-      chalk.yellow(
-        `You are using Node ${process.version} so the project will be bootstrapped with an old unsupported version of tools.\n\n` +
-          `Please update to Node 16 or higher for a better, fully supported experience.\n`
-      )
-    );
-    process.exit(1);
-    // // Fall back to latest supported react-scripts on Node 4
-    // version = "react-scripts@0.9.x";
+// When the template declares another package manager than the one asked for,
+// drop its `packageManager` field, or the chosen one may refuse to install.
+function removeOtherPackageManagerField(root, packageManager, onProgress) {
+  const packageJsonPath = path.join(root, "package.json");
+  let appPackageJson;
+  try {
+    appPackageJson = fs.readJsonSync(packageJsonPath);
+  } catch (e) {
+    return;
   }
+  const declared = appPackageJson.packageManager;
+  if (!declared || declared.split("@")[0] === packageManager) {
+    return;
+  }
+  delete appPackageJson.packageManager;
+  fs.writeJsonSync(packageJsonPath, appPackageJson, { spaces: 2 });
+  onProgress({
+    type: "warning",
+    message: `The template declares ${declared} as its package manager, it was removed from package.json since ${packageManager} is used instead.`,
+  });
+}
 
-  const root = path.resolve(name);
-  const appName = path.basename(root);
+// Yarn 2 and later are picked per project, so their version depends on `cwd`.
+function getPackageManagerVersion(packageManager, onProgress, cwd) {
+  try {
+    return execCommand(`${packageManager} --version`, { cwd, onProgress });
+  } catch (e) {
+    return null;
+  }
+}
 
-  checkAppName(appName);
-  fs.ensureDirSync(name);
-  if (!isSafeToCreateProjectIn(root, name)) {
-    process.exit(1);
+// The package manager and Node version of the app in `root`, for the add-ons.
+// Without `packageManager`, it is the declared one or the one whose lockfile
+// is there.
+function getAppToolchain(root, packageManager, onProgress) {
+  let appPackageJson = {};
+  try {
+    appPackageJson = fs.readJsonSync(path.join(root, "package.json"));
+  } catch (e) {
+    // The app has no package.json, or it is not valid.
+  }
+  // e.g. `pnpm@8.6.0+sha256.1234`
+  const [declaredName, declaredVersion] = (
+    appPackageJson.packageManager || ""
+  ).split("@");
+  if (!packageManager) {
+    packageManager = packageManagers.includes(declaredName)
+      ? declaredName
+      : packageManagers.find((name) =>
+          fs.existsSync(path.join(root, packageManagerLockFiles[name]))
+        ) || "npm";
+  }
+  const declared = declaredName === packageManager;
+  return {
+    packageManager,
+    packageManagerVersion: declared
+      ? declaredVersion.split("+")[0]
+      : getPackageManagerVersion(packageManager, onProgress),
+    declared,
+    lockFile: fs.existsSync(
+      path.join(root, packageManagerLockFiles[packageManager])
+    )
+      ? packageManagerLockFiles[packageManager]
+      : null,
+    node: getAppNodeVersion(root, appPackageJson.engines || {}),
+  };
+}
+
+// The Node version in .nvmrc or .node-version, then the running one when the
+// app's engines allow it, then the lowest one they allow. `file` is the file
+// it was read from.
+function getAppNodeVersion(root, engines) {
+  for (const file of [".nvmrc", ".node-version"]) {
+    const filePath = path.join(root, file);
+    const version = fs.existsSync(filePath)
+      ? fs.readFileSync(filePath, "utf8").trim().replace(/^v/, "")
+      : "";
+    // Aliases like `lts/*` don't make a Docker tag.
+    if (/^\d+(\.\d+){0,2}$/.test(version)) {
+      return { version, file };
+    }
   }
-  console.log();
+  const running = semver.coerce(process.version);
+  const range = semver.validRange(engines.node);
+  const version =
+    !range || semver.satisfies(running, range)
+      ? running.major
+      : semver.minVersion(range).major;
+  return { version: String(version), file: null };
+}
 
-  console.log(`Creating a new Dataverse app in ${chalk.green(root)}.`);
-  console.log();
+function checkPackageManager(root, packageManager, onProgress) {
+  if (packageManager !== "npm") {
+    return;
+  }
+  const npmCwdProblem = checkThatNpmCanReadCwd(root, onProgress);
+  if (npmCwdProblem !== true) {
+    throw new EnvironmentError(npmCwdProblem);
+  }
+  const npmInfo = checkNpmVersion(onProgress);
+  if (!npmInfo.hasMinNpm && npmInfo.npmVersion) {
+    onProgress({
+      type: "warning",
+      message:
+        `You are using npm ${npmInfo.npmVersion} so the project will be bootstrapped with an old unsupported version of tools.\n\n` +
+        `Please update to npm 6 or higher for a better, fully supported experience.`,
+    });
+  }
+}
 
-  const packageJson = {
-    name: appName,
-    version: "0.1.0",
-    private: true,
-  };
-  // fs.writeFileSync(
-  //   path.join(root, "package.json"),
-  //   JSON.stringify(packageJson, null, 2) + os.EOL
-  // );
-
-  const originalDirectory = process.cwd();
-  process.chdir(root);
-  if (!useYarn && !checkThatNpmCanReadCwd()) {
-    process.exit(1);
+// Whether `yarn` in `root` is Yarn 2 or later, which takes other flags.
+function isYarnBerry(packageManager, root, onProgress) {
+  if (packageManager !== "yarn") {
+    return false;
   }
+  const version = getPackageManagerVersion("yarn", onProgress, root);
+  return Boolean(version) && parseInt(version, 10) >= 2;
+}
 
-  if (!useYarn) {
-    const npmInfo = checkNpmVersion();
-    if (!npmInfo.hasMinNpm) {
-      if (npmInfo.npmVersion) {
-        console.log(
-          chalk.yellow(
-            `You are using npm ${npmInfo.npmVersion} so the project will be bootstrapped with an old unsupported version of tools.\n\n` +
-              `Please update to npm 6 or higher for a better, fully supported experience.\n`
-          )
-        );
-      }
-      // // Fall back to latest supported react-scripts for npm 3
-      // version = "react-scripts@0.9.x";
-    }
-  } else if (usePnp) {
-    const yarnInfo = checkYarnVersion();
-    if (yarnInfo.yarnVersion) {
-      if (!yarnInfo.hasMinYarnPnp) {
-        console.log(
-          chalk.yellow(
-            `You are using Yarn ${yarnInfo.yarnVersion} together with the --use-pnp flag, but Plug'n'Play is only supported starting from the 1.12 release.\n\n` +
-              `Please update to Yarn 1.12 or higher for a better, fully supported experience.\n`
-          )
-        );
-        // 1.11 had an issue with webpack-dev-middleware, so better not use PnP with it (never reached stable, but still)
-        usePnp = false;
-      }
-      if (!yarnInfo.hasMaxYarnPnp) {
-        console.log(
-          chalk.yellow(
-            "The --use-pnp flag is no longer necessary with yarn 2 and will be deprecated and removed in a future release.\n"
-          )
-        );
-        // 2 supports PnP by default and breaks when trying to use the flag
-        usePnp = false;
-      }
-    }
+function getInstallArgs(packageManager, verbose, offline, yarnBerry) {
+  const args = ["install"];
+  if (packageManager === "npm") {
+    args.push("--no-audit", "--loglevel", "error");
+  }
+  // Yarn 2+ rejects `--offline` and `--verbose`: it is kept offline by
+  // getInstallEnv(), and has no more verbose output.
+  if (yarnBerry) {
+    return args;
+  }
+  if (offline) {
+    args.push("--offline");
+  }
+  if (verbose && packageManager !== "pnpm") {
+    args.push("--verbose");
   }
+  return args;
+}
 
-  run(
-    root,
-    appName,
-    version,
-    verbose,
-    originalDirectory,
-    template,
-    useYarn,
-    usePnp
-  ).then(() => {
-    console.log();
-    console.log(chalk.green("Done!"));
-    console.log();
-    console.log("To get started:");
-    console.log();
-    console.log("cd", appName);
-    console.log();
-    console.log("add your data models under the models folder");
-    console.log();
-    console.log("configure your app in the dataverse.config.ts file");
-    console.log();
-    console.log("set your private key in the .env file, then run");
-    console.log();
-    console.log("pnpm install");
-    console.log();
-    console.log("pnpm dev");
-  });
+// The variables to install with, next to the registry ones.
+function getInstallEnv(offline, yarnBerry) {
+  return offline && yarnBerry ? { YARN_ENABLE_NETWORK: "0" } : {};
 }
 
-function run(
+function install(
   root,
-  appName,
-  version,
+  packageManager,
   verbose,
-  originalDirectory,
-  template,
-  useYarn,
-  usePnp
+  offline,
+  signal,
+  onProgress,
+  stdio
 ) {
-  return new Promise((resolve, reject) => {
-    let command;
-    let args;
-    command = "git";
-    args = ["clone", "--quiet"].concat([
-      "https://github.com/dataverse-os/create-dataverse-app.git",
-      ".",
-    ]);
-    const child = spawn(command, args, { stdio: "inherit" });
-    child.on("close", (code) => {
-      if (code !== 0) {
-        reject({
-          command: `${command} ${args.join(" ")}`,
-        });
-        return;
-      }
-      resolve();
-    });
-  });
-  // Promise.all([
-  //   getInstallPackage(version, originalDirectory),
-  //   getTemplateInstallPackage(template, originalDirectory),
-  // ]).then(([packageToInstall, templateToInstall]) => {
-  //   const allDependencies = ["react", "react-dom", packageToInstall];
-
-  //   console.log("Installing packages. This might take a couple of minutes.");
-
-  //   Promise.all([
-  //     getPackageInfo(packageToInstall),
-  //     getPackageInfo(templateToInstall),
-  //   ])
-  //     .then(([packageInfo, templateInfo]) =>
-  //       checkIfOnline(useYarn).then((isOnline) => ({
-  //         isOnline,
-  //         packageInfo,
-  //         templateInfo,
-  //       }))
-  //     )
-  //     .then(({ isOnline, packageInfo, templateInfo }) => {
-  //       let packageVersion = semver.coerce(packageInfo.version);
-
-  //       const templatesVersionMinimum = "3.3.0";
-
-  //       // Assume compatibility if we can't test the version.
-  //       if (!semver.valid(packageVersion)) {
-  //         packageVersion = templatesVersionMinimum;
-  //       }
-
-  //       // Only support templates when used alongside new react-scripts versions.
-  //       const supportsTemplates = semver.gte(
-  //         packageVersion,
-  //         templatesVersionMinimum
-  //       );
-  //       if (supportsTemplates) {
-  //         allDependencies.push(templateToInstall);
-  //       } else if (template) {
-  //         console.log("");
-  //         console.log(
-  //           `The ${chalk.cyan(packageInfo.name)} version you're using ${
-  //             packageInfo.name === "react-scripts" ? "is not" : "may not be"
-  //           } compatible with the ${chalk.cyan("--template")} option.`
-  //         );
-  //         console.log("");
-  //       }
-
-  //       console.log(
-  //         `Installing ${chalk.cyan("react")}, ${chalk.cyan(
-  //           "react-dom"
-  //         )}, and ${chalk.cyan(packageInfo.name)}${
-  //           supportsTemplates ? ` with ${chalk.cyan(templateInfo.name)}` : ""
-  //         }...`
-  //       );
-  //       console.log();
-
-  //       return install(
-  //         root,
-  //         useYarn,
-  //         usePnp,
-  //         allDependencies,
-  //         verbose,
-  //         isOnline
-  //       ).then(() => ({
-  //         packageInfo,
-  //         supportsTemplates,
-  //         templateInfo,
-  //       }));
-  //     })
-  //     .then(async ({ packageInfo, supportsTemplates, templateInfo }) => {
-  //       const packageName = packageInfo.name;
-  //       const templateName = supportsTemplates ? templateInfo.name : undefined;
-  //       checkNodeVersion(packageName);
-  //       setCaretRangeForRuntimeDeps(packageName);
-
-  //       const pnpPath = path.resolve(process.cwd(), ".pnp.js");
-
-  //       const nodeArgs = fs.existsSync(pnpPath) ? ["--require", pnpPath] : [];
-
-  //       await executeNodeScript(
-  //         {
-  //           cwd: process.cwd(),
-  //           args: nodeArgs,
-  //         },
-  //         [root, appName, verbose, originalDirectory, templateName],
-  //         `
-  //       const init = require('${packageName}/scripts/init.js');
-  //       init.apply(null, JSON.parse(process.argv[1]));
-  //     `
-  //       );
-
-  //       if (version === "react-scripts@0.9.x") {
-  //         console.log(
-  //           chalk.yellow(
-  //             `\nNote: the project was bootstrapped with an old unsupported version of tools.\n` +
-  //               `Please update to Node >=14 and npm >=6 to get supported tools in new projects.\n`
-  //           )
-  //         );
-  //       }
-  //     })
-  //     .catch((reason) => {
-  //       console.log();
-  //       console.log("Aborting installation.");
-  //       if (reason.command) {
-  //         console.log(`  ${chalk.cyan(reason.command)} has failed.`);
-  //       } else {
-  //         console.log(
-  //           chalk.red("Unexpected error. Please report it as a bug:")
-  //         );
-  //         console.log(reason);
-  //       }
-  //       console.log();
-
-  //       // On 'exit' we will delete these files from target directory.
-  //       const knownGeneratedFiles = ["package.json", "node_modules"];
-  //       const currentFiles = fs.readdirSync(path.join(root));
-  //       currentFiles.forEach((file) => {
-  //         knownGeneratedFiles.forEach((fileToMatch) => {
-  //           // This removes all knownGeneratedFiles.
-  //           if (file === fileToMatch) {
-  //             console.log(`Deleting generated file... ${chalk.cyan(file)}`);
-  //             fs.removeSync(path.join(root, file));
-  //           }
-  //         });
-  //       });
-  //       const remainingFiles = fs.readdirSync(path.join(root));
-  //       if (!remainingFiles.length) {
-  //         // Delete target folder if empty
-  //         console.log(
-  //           `Deleting ${chalk.cyan(`${appName}/`)} from ${chalk.cyan(
-  //             path.resolve(root, "..")
-  //           )}`
-  //         );
-  //         process.chdir(path.resolve(root, ".."));
-  //         fs.removeSync(path.join(root));
-  //       }
-  //       console.log("Done.");
-  //       process.exit(1);
-  //     });
-  // });
-}
-
-function checkForLatestVersion() {
-  return new Promise((resolve, reject) => {
-    https
-      .get(
-        "https://registry.npmjs.org/-/package/create-dataverse-app/dist-tags",
-        (res) => {
-          if (res.statusCode === 200) {
-            let body = "";
-            res.on("data", (data) => (body += data));
-            res.on("end", () => {
-              resolve(JSON.parse(body).latest);
-            });
-          } else {
-            reject();
-          }
-        }
-      )
-      .on("error", () => {
-        reject();
-      });
+  const yarnBerry = isYarnBerry(packageManager, root, onProgress);
+  const args = getInstallArgs(packageManager, verbose, offline, yarnBerry);
+  return spawnCommand(packageManager, args, {
+    cwd: root,
+    stdio,
+    signal,
+    onProgress,
+    env: { ...getRegistryEnv(), ...getInstallEnv(offline, yarnBerry) },
   });
 }
 
-// check if app name is valid
-function checkAppName(appName) {
+// The names of the dependencies and dev dependencies of the template in
+// `templateDir`.
+function getTemplateDependencies(templateDir) {
+  try {
+    const { dependencies = {}, devDependencies = {} } = fs.readJsonSync(
+      path.join(templateDir, "package.json")
+    );
+    return Object.keys({ ...dependencies, ...devDependencies });
+  } catch (e) {
+    // The template has no package.json, or it is not valid.
+    return [];
+  }
+}
+
+// An app can't be named like one of its dependencies. The Dataverse SDK
+// packages apps add later are all scoped, which an app named after its
+// directory never is.
+function getReservedNames(dependencies) {
+  return Array.from(new Set(dependencies)).sort();
+}
+
+// A valid name close to `appName`, e.g. `my-app` for `My App`, or null when
+// there is none.
+function suggestAppName(appName, reservedNames) {
+  let suggestion = appName
+    .toLowerCase()
+    .replace(/[^a-z0-9._~-]+/g, "-")
+    .replace(/^[._-]+|-+$/g, "")
+    .replace(/-{2,}/g, "-")
+    .slice(0, 214);
+  if (reservedNames.includes(suggestion)) {
+    suggestion = `${suggestion}-app`;
+  }
+  return suggestion &&
+    suggestion !== appName &&
+    validateProjectName(suggestion).validForNewPackages &&
+    !reservedNames.includes(suggestion)
+    ? suggestion
+    : null;
+}
+
+// checkAppName() returning the problem instead of throwing, so that it can be
+// used to validate prompts.
+function validateAppName(appName, dependencies = []) {
+  try {
+    checkAppName(appName, dependencies);
+  } catch (err) {
+    if (err instanceof InvalidProjectNameError) {
+      return err.message;
+    }
+    throw err;
+  }
+  return true;
+}
+
+// Check that `appName` is a valid package name, which none of the template's
+// `dependencies` has. The error suggests a name that would do.
+function checkAppName(appName, dependencies = []) {
+  const reservedNames = getReservedNames(dependencies);
+  const suggestion = suggestAppName(appName, reservedNames);
+  const hint = suggestion ? ` Try "${suggestion}" instead.` : "";
   const validationResult = validateProjectName(appName);
   if (!validationResult.validForNewPackages) {
-    console.error(
-      chalk.red(
-        `Cannot create a project named ${chalk.green(
-          `"${appName}"`
-        )} because of npm naming restrictions:\n`
-      )
-    );
-    [
+    const problems = [
       ...(validationResult.errors || []),
       ...(validationResult.warnings || []),
-    ].forEach((error) => {
-      console.error(chalk.red(`  * ${error}`));
-    });
-    console.error(chalk.red("\nPlease choose a different project name."));
-    process.exit(1);
+    ];
+    throw new InvalidProjectNameError(
+      `Cannot create a project named "${appName}" because of npm naming restrictions: ${problems.join(
+        ", "
+      )}.${hint}`,
+      { appName, problems, suggestion }
+    );
   }
 
-  // TODO: there should be a single place that holds the dependencies
-  const dependencies = ["react", "react-dom", "react-scripts"].sort();
-  if (dependencies.includes(appName)) {
-    console.error(
-      chalk.red(
-        `Cannot create a project named ${chalk.green(
-          `"${appName}"`
-        )} because a dependency with the same name exists.\n` +
-          `Due to the way npm works, the following names are not allowed:\n\n`
-      ) +
-        chalk.cyan(dependencies.map((depName) => `  ${depName}`).join("\n")) +
-        chalk.red("\n\nPlease choose a different project name.")
+  if (reservedNames.includes(appName)) {
+    throw new InvalidProjectNameError(
+      `Cannot create a project named "${appName}" because a dependency with the same name exists.${hint}`,
+      {
+        appName,
+        problems: [`a dependency named "${appName}" exists`],
+        reservedNames,
+        suggestion,
+      }
     );
-    process.exit(1);
   }
 }
 
+// These files should be allowed to remain on a failed install, but then
+// silently removed during the next create.
+const errorLogFilePatterns = [
+  "npm-debug.log",
+  "yarn-error.log",
+  "yarn-debug.log",
+];
+
+function isErrorLog(file) {
+  return errorLogFilePatterns.some((pattern) => file.startsWith(pattern));
+}
+
 // If project only contains files generated by GH, it’s safe.
-// Also, if project contains remnant error logs from a previous
-// installation, lets remove them now.
 // We also special case IJ-based products .idea because it integrates with CRA:
 // https://github.com/facebook/create-react-app/pull/368#issuecomment-243446094
-function isSafeToCreateProjectIn(root, name) {
+// Returns the files in `root` that could conflict with the app.
+function getConflictingFiles(root) {
   const validFiles = [
     ".DS_Store",
     ".git",
@@ -508,62 +3981,31 @@ function isSafeToCreateProjectIn(root, name) {
     "mkdocs.yml",
     "Thumbs.db",
   ];
-  // These files should be allowed to remain on a failed install, but then
-  // silently removed during the next create.
-  const errorLogFilePatterns = [
-    "npm-debug.log",
-    "yarn-error.log",
-    "yarn-debug.log",
-  ];
-  const isErrorLog = (file) => {
-    return errorLogFilePatterns.some((pattern) => file.startsWith(pattern));
-  };
-
-  const conflicts = fs
-    .readdirSync(root)
-    .filter((file) => !validFiles.includes(file))
-    // IntelliJ IDEA creates module files before CRA is launched
-    .filter((file) => !/\.iml$/.test(file))
-    // Don't treat log files from previous installation as conflicts
-    .filter((file) => !isErrorLog(file));
-
-  if (conflicts.length > 0) {
-    console.log(
-      `The directory ${chalk.green(name)} contains files that could conflict:`
-    );
-    console.log();
-    for (const file of conflicts) {
-      try {
-        const stats = fs.lstatSync(path.join(root, file));
-        if (stats.isDirectory()) {
-          console.log(`  ${chalk.blue(`${file}/`)}`);
-        } else {
-          console.log(`  ${file}`);
-        }
-      } catch (e) {
-        console.log(`  ${file}`);
-      }
-    }
-    console.log();
-    console.log(
-      "Either try using a new directory name, or remove the files listed above."
-    );
 
-    return false;
-  }
+  return (
+    fs
+      .readdirSync(root)
+      .filter((file) => !validFiles.includes(file))
+      // IntelliJ IDEA creates module files before CRA is launched
+      .filter((file) => !/\.iml$/.test(file))
+      // Don't treat log files from previous installation as conflicts
+      .filter((file) => !isErrorLog(file))
+  );
+}
 
-  // Remove any log files from a previous installation.
+// If project contains remnant error logs from a previous installation, lets
+// remove them now.
+function removeErrorLogs(root) {
   fs.readdirSync(root).forEach((file) => {
     if (isErrorLog(file)) {
       fs.removeSync(path.join(root, file));
     }
   });
-  return true;
 }
 
 // See https://github.com/facebook/create-react-app/pull/3355
-function checkThatNpmCanReadCwd() {
-  const cwd = process.cwd();
+// Returns true, or the problem when npm doesn't run in `root`.
+function checkThatNpmCanReadCwd(root, onProgress = () => {}) {
   let childOutput = null;
   try {
     // Note: intentionally using spawn over exec since
@@ -571,7 +4013,10 @@ function checkThatNpmCanReadCwd() {
     // `npm config list` is the only reliable way I could find
     // to reproduce the wrong path. Just printing process.cwd()
     // in a Node process was not enough.
-    childOutput = spawn.sync("npm", ["config", "list"]).output.join("");
+    const reportExit = reportCommand("npm config list", root, onProgress);
+    const child = spawn.sync("npm", ["config", "list"], { cwd: root });
+    reportExit(child.status);
+    childOutput = child.output.join("");
   } catch (err) {
     // Something went wrong spawning node.
     // Not great, but it means we can't do this check.
@@ -592,42 +4037,31 @@ function checkThatNpmCanReadCwd() {
     return true;
   }
   const npmCWD = line.substring(prefix.length);
-  if (npmCWD === cwd) {
+  // npm reports its cwd with the symlinks resolved.
+  if (npmCWD === root || npmCWD === fs.realpathSync(root)) {
     return true;
   }
-  console.error(
-    chalk.red(
-      `Could not start an npm process in the right directory.\n\n` +
-        `The current directory is: ${chalk.bold(cwd)}\n` +
-        `However, a newly started npm process runs in: ${chalk.bold(
-          npmCWD
-        )}\n\n` +
-        `This is probably caused by a misconfigured system terminal shell.`
-    )
-  );
+  let problem =
+    `Could not start an npm process in the right directory.\n\n` +
+    `The app directory is: ${root}\n` +
+    `However, a newly started npm process runs in: ${npmCWD}\n\n` +
+    `This is probably caused by a misconfigured system terminal shell.`;
   if (process.platform === "win32") {
-    console.error(
-      chalk.red(`On Windows, this can usually be fixed by running:\n\n`) +
-        `  ${chalk.cyan(
-          "reg"
-        )} delete "HKCU\\Software\\Microsoft\\Command Processor" /v AutoRun /f\n` +
-        `  ${chalk.cyan(
-          "reg"
-        )} delete "HKLM\\Software\\Microsoft\\Command Processor" /v AutoRun /f\n\n` +
-        chalk.red(`Try to run the above two lines in the terminal.\n`) +
-        chalk.red(
-          `To learn more about this problem, read: https://blogs.msdn.microsoft.com/oldnewthing/20071121-00/?p=24433/`
-        )
-    );
+    problem +=
+      `\n\nOn Windows, this can usually be fixed by running:\n\n` +
+      `  reg delete "HKCU\\Software\\Microsoft\\Command Processor" /v AutoRun /f\n` +
+      `  reg delete "HKLM\\Software\\Microsoft\\Command Processor" /v AutoRun /f\n\n` +
+      `Try to run the above two lines in the terminal.\n` +
+      `To learn more about this problem, read: https://blogs.msdn.microsoft.com/oldnewthing/20071121-00/?p=24433/`;
   }
-  return false;
+  return problem;
 }
 
-function checkNpmVersion() {
+function checkNpmVersion(onProgress) {
   let hasMinNpm = false;
   let npmVersion = null;
   try {
-    npmVersion = execSync("npm --version").toString().trim();
+    npmVersion = execCommand("npm --version", { onProgress });
     hasMinNpm = semver.gte(npmVersion, "6.0.0");
   } catch (err) {
     // ignore
@@ -638,20 +4072,25 @@ function checkNpmVersion() {
   };
 }
 
-function checkIsGitInstalled() {
+function checkIsGitInstalled(onProgress) {
   let gitVersion = undefined;
   try {
-    gitVersion = execSync("git --version").toString().trim();
+    gitVersion = execCommand("git --version", { onProgress });
   } catch (err) {
     // ignore
-    console.log(
-      chalk.red("Git is not installed. Please install git and try again.")
-    );
-    process.exit(1);
   }
   return gitVersion;
 }
 
 module.exports = {
   init,
+  createDataverseApp,
+  CreateDataverseAppError,
+  InvalidOptionError,
+  InvalidProjectNameError,
+  UnsafeDirectoryError,
+  TemplateError,
+  EnvironmentError,
+  CommandError,
+  AbortError,
 };
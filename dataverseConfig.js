@@ -0,0 +1,306 @@
+"use strict";
+
+// Helpers to edit the template's `dataverse.config.ts` in place. The file is
+// TypeScript that we can't evaluate, so we only touch the few values we know
+// about and leave everything else (comments, formatting, other keys) as is.
+
+const configFileName = "dataverse.config.ts";
+
+// Scan `source` from `index`, skipping over strings and comments, and call
+// `visit(char, index)` for every other character until it returns true.
+// Returns the index `visit` stopped at, or -1.
+function scan(source, index, visit) {
+  for (let i = index; i < source.length; i++) {
+    const char = source[i];
+    if (char === '"' || char === "'" || char === "`") {
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === "\\") {
+          i++;
+        }
+        i++;
+      }
+    } else if (char === "/" && source[i + 1] === "/") {
+      i = source.indexOf("\n", i);
+      if (i === -1) {
+        return -1;
+      }
+    } else if (char === "/" && source[i + 1] === "*") {
+      i = source.indexOf("*/", i + 2);
+      if (i === -1) {
+        return -1;
+      }
+      i++;
+    } else if (visit(char, i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function findClosingBracket(source, openIndex) {
+  let depth = 0;
+  return scan(source, openIndex, (char) => {
+    if ("([{".includes(char)) {
+      depth++;
+    } else if (")]}".includes(char)) {
+      depth--;
+    }
+    return depth === 0;
+  });
+}
+
+// Find the value of a top-level `key: value` property. Returns the
+// `{ start, end }` of the value, or null when the key isn't there.
+function findProperty(source, key) {
+  const match = new RegExp(`(^|[{,])[ \\t]*${key}[ \\t]*:[ \\t]*`, "m").exec(
+    source
+  );
+  if (!match) {
+    return null;
+  }
+  const start = match.index + match[0].length;
+  if ("[{".includes(source[start])) {
+    return { start, end: findClosingBracket(source, start) + 1 };
+  }
+  const end = scan(source, start, (char) => char === "," || char === "\n");
+  return { start, end: end === -1 ? source.length : end };
+}
+
+// Returns the `{ start, end }` of each element of the array literal that
+// starts at `openIndex`.
+function getArrayElements(source, openIndex) {
+  const closeIndex = findClosingBracket(source, openIndex);
+  const elements = [];
+  let depth = 0;
+  let start = null;
+  scan(source, openIndex + 1, (char, i) => {
+    if (i === closeIndex || (depth === 0 && char === ",")) {
+      if (start !== null) {
+        elements.push({ start, end: i });
+      }
+      start = null;
+      return i === closeIndex;
+    }
+    if ("([{".includes(char)) {
+      depth++;
+    } else if (")]}".includes(char)) {
+      depth--;
+    }
+    if (start === null && !/\s/.test(char)) {
+      start = i;
+    }
+    return false;
+  });
+  // Trim the whitespace before a trailing comma or the closing bracket.
+  return elements.map(({ start, end }) => {
+    while (/\s/.test(source[end - 1])) {
+      end--;
+    }
+    return { start, end };
+  });
+}
+
+function quote(value, quoteChar) {
+  const escaped = value
+    .replace(/\\/g, "\\\\")
+    .replace(new RegExp(quoteChar, "g"), `\\${quoteChar}`);
+  return `${quoteChar}${escaped}${quoteChar}`;
+}
+
+function unquote(value) {
+  return value.replace(/\\(.)/g, "$1");
+}
+
+function getQuoteChar(source, property) {
+  const match = /["'`]/.exec(source.slice(property.start, property.end));
+  return match ? match[0] : '"';
+}
+
+function setString(source, key, value) {
+  const property = findProperty(source, key);
+  if (!property) {
+    return source;
+  }
+  return (
+    source.slice(0, property.start) +
+    quote(value, getQuoteChar(source, property)) +
+    source.slice(property.end)
+  );
+}
+
+// `website` can either be a string or an array of strings.
+function setStrings(source, key, values) {
+  const property = findProperty(source, key);
+  if (!property) {
+    return source;
+  }
+  const quoteChar = getQuoteChar(source, property);
+  const value =
+    source[property.start] === "["
+      ? `[${values.map((v) => quote(v, quoteChar)).join(", ")}]`
+      : quote(values[0] || "", quoteChar);
+  return source.slice(0, property.start) + value + source.slice(property.end);
+}
+
+function getString(source, key) {
+  const property = findProperty(source, key);
+  if (!property) {
+    return null;
+  }
+  const match = /(["'`])((?:\\.|(?!\1).)*)\1/.exec(
+    source.slice(property.start, property.end)
+  );
+  return match ? unquote(match[2]) : null;
+}
+
+function getStrings(source, key) {
+  const property = findProperty(source, key);
+  if (!property) {
+    return [];
+  }
+  const values = [];
+  const pattern = /(["'`])((?:\\.|(?!\1).)*)\1/g;
+  let match;
+  const value = source.slice(property.start, property.end);
+  while ((match = pattern.exec(value))) {
+    values.push(unquote(match[2]));
+  }
+  return values;
+}
+
+// The model name is the schema file name without its extension, e.g. `post`
+// for `schemaName: "post.graphql"`.
+function getModelName(schemaName) {
+  return schemaName.replace(/\.[^.]+$/, "");
+}
+
+// Returns `{ name, schemaName, encryptable, start, end }` for each entry of
+// `models`.
+function getModels(source) {
+  const property = findProperty(source, "models");
+  if (!property || source[property.start] !== "[") {
+    return [];
+  }
+  return getArrayElements(source, property.start).map((element) => {
+    const text = source.slice(element.start, element.end);
+    const schemaName = getString(text, "schemaName") || "";
+    return {
+      ...element,
+      name: getModelName(schemaName),
+      schemaName,
+      encryptable: getStrings(text, "encryptable"),
+    };
+  });
+}
+
+// Remove a model entry along with its comma and the rest of its line.
+function removeModel(source, model) {
+  let start = model.start;
+  while (start > 0 && /[ \t]/.test(source[start - 1])) {
+    start--;
+  }
+  if (source[start - 1] === "\n") {
+    start--;
+  }
+  let end = model.end;
+  const comma = /^\s*,/.exec(source.slice(end));
+  if (comma) {
+    end += comma[0].length;
+  }
+  return source.slice(0, start) + source.slice(end);
+}
+
+// Keep only the models listed in `modelNames`.
+function selectModels(source, modelNames) {
+  // Remove from the end, so that the positions of the others don't move.
+  return getModels(source)
+    .reverse()
+    .filter((model) => !modelNames.includes(model.name))
+    .reduce(removeModel, source);
+}
+
+// Apply `values` (`name`, `slug`, `description`, `website`, `models`) to the
+// config source. Values that are undefined are left alone.
+function updateConfig(source, values) {
+  if (values.name !== undefined) {
+    source = setString(source, "name", values.name);
+  }
+  if (values.slug !== undefined) {
+    source = setString(source, "slug", values.slug);
+  }
+  if (values.description !== undefined) {
+    source = setString(source, "description", values.description);
+  }
+  if (values.website !== undefined) {
+    source = setStrings(source, "website", values.website);
+  }
+  if (values.models !== undefined) {
+    source = selectModels(source, values.models);
+  }
+  return source;
+}
+
+// Append an entry to `models`, indented like the existing ones.
+function addModel(source, { schemaName, isPublicDomain, encryptable }) {
+  const property = findProperty(source, "models");
+  if (!property || source[property.start] !== "[") {
+    return null;
+  }
+  const models = getModels(source);
+  const lineStart = source.lastIndexOf("\n", property.start) + 1;
+  const baseIndent = /^[ \t]*/.exec(source.slice(lineStart))[0];
+  let indent = `${baseIndent}  `;
+  if (models.length) {
+    const last = models[models.length - 1];
+    const lastLineStart = source.lastIndexOf("\n", last.start) + 1;
+    indent = source.slice(lastLineStart, last.start);
+  }
+  const entry = [
+    "{",
+    `${indent}  isPublicDomain: ${isPublicDomain},`,
+    `${indent}  schemaName: ${quote(schemaName, '"')},`,
+    `${indent}  encryptable: [${encryptable
+      .map((field) => quote(field, '"'))
+      .join(", ")}],`,
+    `${indent}},`,
+  ].join("\n");
+
+  if (!models.length) {
+    const insertAt = property.start + 1;
+    return (
+      source.slice(0, insertAt) +
+      `\n${indent}${entry}\n${baseIndent}` +
+      source.slice(property.end - 1)
+    );
+  }
+  // Insert after the last model and its comma, adding the comma if the last
+  // model doesn't have one.
+  const last = models[models.length - 1];
+  const comma = /^\s*,/.exec(source.slice(last.end));
+  const insertAt = comma ? last.end + comma[0].length : last.end;
+  return (
+    source.slice(0, insertAt) +
+    (comma ? "" : ",") +
+    `\n${indent}${entry}` +
+    source.slice(insertAt)
+  );
+}
+
+function readConfig(source) {
+  return {
+    name: getString(source, "name"),
+    slug: getString(source, "slug"),
+    description: getString(source, "description"),
+    website: getStrings(source, "website"),
+    models: getModels(source).map((model) => model.name),
+  };
+}
+
+module.exports = {
+  configFileName,
+  readConfig,
+  updateConfig,
+  getModels,
+  addModel,
+};
@@ -0,0 +1,478 @@
+"use strict";
+
+// The `doctor` command: checks that the app around the current directory is
+// ready to run, and prints what to fix when it isn't.
+
+const chalk = require("chalk");
+const fs = require("fs-extra");
+const path = require("path");
+const semver = require("semver");
+
+const packageJson = require("./package.json");
+const { findAppRoot } = require("./addModel");
+const { findRecordedApp } = require("./appRecord");
+const { configFileName, readConfig, getModels } = require("./dataverseConfig");
+const { findWorkspace, packageManagerLockFiles } = require("./workspace");
+
+// Check the app around the current directory: the toolchain against what its
+// package.json asks for, the `.env` file, dataverse.config.ts and the model
+// schemas. Any failed check makes the exit code 1, so it can run in CI.
+// `helpers` are what the checks share with creating an app: the `logger`, the
+// package manager and git probes and the validators.
+function doctor(helpers) {
+  const { logger } = helpers;
+  const root = findAppRoot(process.cwd()) || findRecordedApp(process.cwd());
+  if (!root) {
+    logger.error(
+      chalk.red(
+        `Could not find ${chalk.green(
+          configFileName
+        )}. Run this command inside a Dataverse app.`
+      )
+    );
+    process.exit(1);
+  }
+
+  const checks = [
+    ...checkToolchain(root, helpers).map((check) => ({
+      group: "toolchain",
+      ...check,
+    })),
+    ...checkEnv(root, helpers).map((check) => ({ group: "env", ...check })),
+    ...checkConfig(root, helpers).map((check) => ({
+      group: "config",
+      ...check,
+    })),
+  ];
+  const count = (status) =>
+    checks.filter((check) => check.status === status).length;
+  const summary = {
+    pass: count("pass"),
+    warn: count("warn"),
+    fail: count("fail"),
+  };
+
+  logger.result({ type: "doctor", root, checks, summary });
+  printDoctorReport(logger, root, checks, summary);
+  if (summary.fail) {
+    process.exitCode = 1;
+  }
+}
+
+const doctorGroups = {
+  toolchain: "Toolchain",
+  env: ".env",
+  config: configFileName,
+};
+
+function printDoctorReport(logger, root, checks, summary) {
+  const statuses = {
+    pass: chalk.green("pass"),
+    warn: chalk.yellow("warn"),
+    fail: chalk.red("fail"),
+  };
+  logger.info();
+  logger.info(`Checking ${chalk.green(root)}:`);
+  Object.keys(doctorGroups).forEach((group) => {
+    logger.info();
+    logger.info(chalk.bold(doctorGroups[group]));
+    checks
+      .filter((check) => check.group === group)
+      .forEach((check) => {
+        logger.info(`  ${statuses[check.status]}  ${check.message}`);
+        if (check.fix) {
+          logger.info(`        ${chalk.gray(check.fix)}`);
+        }
+      });
+  });
+  logger.info();
+  logger.info(
+    `${summary.pass} passed, ${summary.warn} warning${
+      summary.warn === 1 ? "" : "s"
+    }, ${summary.fail} failed.`
+  );
+}
+
+// Each check is `{ status, message, fix }`, `status` being pass, warn or fail
+// and `fix` telling how to solve a warning or a failure.
+function pass(message) {
+  return { status: "pass", message };
+}
+
+function warn(message, fix) {
+  return { status: "warn", message, fix };
+}
+
+function fail(message, fix) {
+  return { status: "fail", message, fix };
+}
+
+const packageManagers = Object.keys(packageManagerLockFiles);
+
+function checkToolchain(root, helpers) {
+  const {
+    getPackageManagerVersion,
+    checkNpmVersion,
+    checkThatNpmCanReadCwd,
+    checkIsGitInstalled,
+  } = helpers;
+  let appPackageJson = {};
+  try {
+    appPackageJson = fs.readJsonSync(path.join(root, "package.json"));
+  } catch (err) {
+    return [fail("package.json is missing or not valid JSON.")];
+  }
+  const engines = appPackageJson.engines || {};
+  const checks = [];
+
+  const nodeRange = engines.node || ">=16";
+  if (semver.satisfies(process.version, nodeRange)) {
+    checks.push(pass(`Node ${process.version} satisfies ${nodeRange}.`));
+  } else {
+    checks.push(
+      fail(
+        `Node ${process.version} does not satisfy ${nodeRange}.`,
+        `Install a Node version matching ${nodeRange}, e.g. with nvm.`
+      )
+    );
+  }
+
+  // The declared package manager, or the one whose lockfile is there.
+  const [declaredName, declaredVersion] = (
+    appPackageJson.packageManager || ""
+  ).split("@");
+  const lockFiles = packageManagers.filter((name) =>
+    fs.existsSync(path.join(root, packageManagerLockFiles[name]))
+  );
+  const packageManager = packageManagers.includes(declaredName)
+    ? declaredName
+    : lockFiles[0] || "npm";
+  const version = getPackageManagerVersion(packageManager);
+  if (!version) {
+    checks.push(
+      fail(
+        `${packageManager} is not installed.`,
+        packageManager === "npm"
+          ? "Install Node with npm."
+          : `Install ${packageManager}, or run \`corepack enable\`.`
+      )
+    );
+  } else if (declaredVersion && version !== declaredVersion.split("+")[0]) {
+    checks.push(
+      warn(
+        `${packageManager} ${version} is installed, but package.json asks for ${declaredVersion}.`,
+        `Run \`corepack enable\` to use the version from package.json.`
+      )
+    );
+  } else if (
+    engines[packageManager] &&
+    !semver.satisfies(version, engines[packageManager])
+  ) {
+    checks.push(
+      fail(
+        `${packageManager} ${version} does not satisfy ${engines[packageManager]}.`,
+        `Install a ${packageManager} version matching ${engines[packageManager]}.`
+      )
+    );
+  } else {
+    checks.push(pass(`${packageManager} ${version} is installed.`));
+  }
+
+  if (version && packageManager === "npm") {
+    const npmInfo = checkNpmVersion();
+    if (!npmInfo.hasMinNpm) {
+      checks.push(
+        warn(
+          `npm ${npmInfo.npmVersion} is too old.`,
+          "Update to npm 6 or higher."
+        )
+      );
+    }
+    const npmCwdProblem = checkThatNpmCanReadCwd(root);
+    if (npmCwdProblem !== true) {
+      checks.push(fail(npmCwdProblem.split("\n")[0], npmCwdProblem));
+    }
+  }
+
+  const otherLockFiles = lockFiles
+    .filter((name) => name !== packageManager)
+    .map((name) => packageManagerLockFiles[name]);
+  if (otherLockFiles.length) {
+    checks.push(
+      warn(
+        `${otherLockFiles.join(", ")} ${
+          otherLockFiles.length === 1 ? "belongs" : "belong"
+        } to another package manager than ${packageManager}.`,
+        `Delete ${otherLockFiles.join(
+          ", "
+        )}, so that everyone installs the same dependencies.`
+      )
+    );
+  }
+
+  // In a workspace, the dependencies are installed at its root.
+  const workspace = findWorkspace(root);
+  const installRoot = workspace ? workspace.root : root;
+  if (fs.existsSync(path.join(installRoot, "node_modules"))) {
+    checks.push(pass("The dependencies are installed."));
+  } else {
+    checks.push(
+      warn(
+        "The dependencies are not installed.",
+        `Run \`${packageManager} install\`${
+          workspace ? ` in ${workspace.root}` : ""
+        }.`
+      )
+    );
+  }
+
+  const gitVersion = checkIsGitInstalled();
+  if (gitVersion) {
+    checks.push(pass(`${gitVersion} is installed.`));
+  } else {
+    checks.push(
+      warn("git is not installed.", "Install git to fetch git templates.")
+    );
+  }
+  return checks;
+}
+
+// The value of `name` in the contents of a .env file, or null.
+function getEnvVariable(contents, name) {
+  const match = new RegExp(
+    `^[ \\t]*(?:export[ \\t]+)?${name}[ \\t]*=(.*)$`,
+    "m"
+  ).exec(contents);
+  if (!match) {
+    return null;
+  }
+  return match[1].trim().replace(/^(["'])(.*)\1$/, "$2");
+}
+
+function checkEnv(root, helpers) {
+  const {
+    envExampleFiles,
+    privateKeyVariable,
+    validatePrivateKey,
+    isGitIgnored,
+  } = helpers;
+  const envPath = path.join(root, ".env");
+  if (!fs.existsSync(envPath)) {
+    const example = envExampleFiles.find((file) =>
+      fs.existsSync(path.join(root, file))
+    );
+    return [
+      warn(
+        "There is no .env file.",
+        example
+          ? `Copy ${example} to .env and set ${privateKeyVariable} in it.`
+          : `Create a .env file with ${privateKeyVariable}=<your private key>.`
+      ),
+    ];
+  }
+
+  const checks = [];
+  const privateKey = getEnvVariable(
+    fs.readFileSync(envPath, "utf8"),
+    privateKeyVariable
+  );
+  if (!privateKey) {
+    checks.push(
+      warn(
+        `${privateKeyVariable} is not set.`,
+        `Set ${privateKeyVariable} in .env, e.g. to a key from \`${packageJson.name} --generate-key\`.`
+      )
+    );
+  } else if (validatePrivateKey(privateKey) !== true) {
+    checks.push(
+      fail(
+        `${privateKeyVariable} is not a valid private key: ${validatePrivateKey(
+          privateKey
+        )}`,
+        `Fix ${privateKeyVariable} in .env.`
+      )
+    );
+  } else {
+    checks.push(pass(`${privateKeyVariable} is a valid private key.`));
+  }
+
+  const gitignorePath = path.join(root, ".gitignore");
+  const gitignore = fs.existsSync(gitignorePath)
+    ? fs.readFileSync(gitignorePath, "utf8")
+    : "";
+  if (isGitIgnored(gitignore, ".env")) {
+    checks.push(pass(".env is ignored by git."));
+  } else {
+    checks.push(
+      fail(
+        ".env is not ignored by git, and holds your private key.",
+        "Add .env to .gitignore."
+      )
+    );
+  }
+  return checks;
+}
+
+function checkConfig(root, helpers) {
+  const { validateAppSlug } = helpers;
+  const configPath = path.join(root, configFileName);
+  if (!fs.existsSync(configPath)) {
+    return [
+      fail(
+        `There is no ${configFileName}.`,
+        "Create it from the template the app was made from."
+      ),
+    ];
+  }
+  const source = fs.readFileSync(configPath, "utf8");
+  const config = readConfig(source);
+  const checks = [];
+
+  if (!config.name) {
+    checks.push(warn("The app has no name.", `Set name in ${configFileName}.`));
+  }
+  if (!config.slug) {
+    checks.push(fail("The app has no slug.", `Set slug in ${configFileName}.`));
+  } else if (validateAppSlug(config.slug) !== true) {
+    checks.push(
+      fail(
+        `The slug "${config.slug}" is not valid.`,
+        `Change slug in ${configFileName}: ${validateAppSlug(config.slug)}`
+      )
+    );
+  } else {
+    checks.push(
+      pass(`The app is named ${config.name || config.slug} (${config.slug}).`)
+    );
+  }
+  if (!config.website.some(Boolean)) {
+    checks.push(
+      warn(
+        "The app has no website.",
+        `Set website in ${configFileName} to where the app will be served.`
+      )
+    );
+  }
+
+  const models = getModels(source);
+  const modelsDir = path.join(root, "models");
+  const schemaFiles = fs.existsSync(modelsDir)
+    ? fs.readdirSync(modelsDir).filter((file) => file.endsWith(".graphql"))
+    : [];
+  if (!models.length) {
+    checks.push(
+      warn(
+        "The app has no models.",
+        `Add one with \`${packageJson.name} add-model <name>\`.`
+      )
+    );
+  }
+  models.forEach((model, i) => {
+    if (!model.schemaName) {
+      checks.push(
+        fail(
+          `Model ${i + 1} has no schemaName.`,
+          `Set its schemaName in ${configFileName}.`
+        )
+      );
+      return;
+    }
+    if (models.findIndex((m) => m.schemaName === model.schemaName) !== i) {
+      checks.push(
+        fail(
+          `${model.schemaName} is listed twice.`,
+          `Remove one of its entries from ${configFileName}.`
+        )
+      );
+      return;
+    }
+    const schemaPath = path.join(modelsDir, model.schemaName);
+    if (!fs.existsSync(schemaPath)) {
+      checks.push(
+        fail(
+          `models/${model.schemaName} does not exist.`,
+          `Create it, or remove the model from ${configFileName}.`
+        )
+      );
+      return;
+    }
+    const problems = checkSchema(
+      fs.readFileSync(schemaPath, "utf8"),
+      model.encryptable
+    );
+    if (problems.length) {
+      problems.forEach((problem) =>
+        checks.push(
+          fail(
+            `models/${model.schemaName}: ${problem}`,
+            `Fix the schema, or recreate it with \`${packageJson.name} add-model\`.`
+          )
+        )
+      );
+    } else {
+      checks.push(pass(`models/${model.schemaName} looks valid.`));
+    }
+  });
+
+  schemaFiles
+    .filter((file) => !models.some((model) => model.schemaName === file))
+    .forEach((file) =>
+      checks.push(
+        warn(
+          `models/${file} is not listed in ${configFileName}.`,
+          `Add it to models in ${configFileName}, or delete it.`
+        )
+      )
+    );
+  return checks;
+}
+
+// Look for the obvious mistakes in a model schema: this is no GraphQL parser,
+// Dataverse reports the rest when the models are deployed.
+function checkSchema(schema, encryptable) {
+  const source = schema.replace(/#.*$/gm, "");
+  if (!source.trim()) {
+    return ["the schema is empty."];
+  }
+  const problems = [];
+  let depth = 0;
+  for (const char of source.replace(/"(?:\\.|[^"\\])*"/g, '""')) {
+    if ("({[".includes(char)) {
+      depth++;
+    } else if (")}]".includes(char)) {
+      depth--;
+    }
+    if (depth < 0) {
+      break;
+    }
+  }
+  if (depth !== 0) {
+    problems.push("the brackets are not balanced.");
+  }
+  const type = /\btype\s+[A-Za-z_]\w*[^{]*?@createModel\s*\(/.exec(source);
+  if (!type) {
+    problems.push("there is no type with a @createModel directive.");
+    return problems;
+  }
+  const body = source.slice(source.indexOf("{", type.index) + 1);
+  const fields = {};
+  const fieldPattern = /^\s*([A-Za-z_]\w*)\s*:\s*\[?\s*([A-Za-z_]\w*)/gm;
+  let match;
+  while ((match = fieldPattern.exec(body))) {
+    fields[match[1]] = match[2];
+  }
+  encryptable.forEach((field) => {
+    if (!fields[field]) {
+      problems.push(`the encryptable field ${field} is not in the schema.`);
+    } else if (fields[field] !== "String") {
+      problems.push(
+        `the encryptable field ${field} is of type ${fields[field]}, only String fields can be encrypted.`
+      );
+    }
+  });
+  return problems;
+}
+
+module.exports = {
+  doctor,
+};
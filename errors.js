@@ -0,0 +1,74 @@
+"use strict";
+
+// Errors createDataverseApp() rejects with. Each has a stable `code`, so that
+// callers can handle them without matching on the message, and `details` are
+// copied onto the error, e.g. `conflicts` for UnsafeDirectoryError.
+
+class CreateDataverseAppError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// An option is missing, malformed or conflicts with another one.
+class InvalidOptionError extends CreateDataverseAppError {
+  constructor(message, details) {
+    super(message, "INVALID_OPTION", details);
+  }
+}
+
+// `{ appName, problems, reservedNames }`
+class InvalidProjectNameError extends CreateDataverseAppError {
+  constructor(message, details) {
+    super(message, "INVALID_PROJECT_NAME", details);
+  }
+}
+
+// `{ root, conflicts }`, the files in the directory that could be overwritten.
+class UnsafeDirectoryError extends CreateDataverseAppError {
+  constructor(message, details) {
+    super(message, "UNSAFE_DIRECTORY", details);
+  }
+}
+
+// The template can't be found, fetched or applied.
+class TemplateError extends CreateDataverseAppError {
+  constructor(message, details) {
+    super(message, "TEMPLATE_ERROR", details);
+  }
+}
+
+// Node, git or the package manager is missing or can't be used.
+class EnvironmentError extends CreateDataverseAppError {
+  constructor(message, details) {
+    super(message, "ENVIRONMENT_ERROR", details);
+  }
+}
+
+// `{ command }`, a spawned command that failed.
+class CommandError extends CreateDataverseAppError {
+  constructor(message, details) {
+    super(message, "COMMAND_FAILED", details);
+  }
+}
+
+// Creating the app was aborted through the `signal` option.
+class AbortError extends CreateDataverseAppError {
+  constructor(message, details) {
+    super(message || "Creating the app was aborted.", "ABORTED", details);
+  }
+}
+
+module.exports = {
+  CreateDataverseAppError,
+  InvalidOptionError,
+  InvalidProjectNameError,
+  UnsafeDirectoryError,
+  TemplateError,
+  EnvironmentError,
+  CommandError,
+  AbortError,
+};
@@ -0,0 +1,106 @@
+"use strict";
+
+// Everything the CLI prints goes through a logger, so that `--silent`,
+// `--verbose` and `--json` apply to all of it. With `--json`, stdout only gets
+// one JSON object per line, and plain messages that aren't events are dropped.
+
+const chalk = require("chalk");
+
+const levels = ["error", "warn", "info", "verbose"];
+
+// Color codes don't belong in JSON.
+function stripColors(message) {
+  return String(message).replace(/\u001b\[[0-9;]*m/g, "");
+}
+
+function createLogger({ level = "info", json = false } = {}) {
+  const startedAt = Date.now();
+  const enabled = (messageLevel) =>
+    levels.indexOf(messageLevel) <= levels.indexOf(level);
+
+  const write = (event) => {
+    console.log(
+      JSON.stringify({
+        ...event,
+        time: new Date().toISOString(),
+        elapsed: Date.now() - startedAt,
+      })
+    );
+  };
+
+  const logger = {
+    json,
+    level,
+
+    error(message = "") {
+      if (json) {
+        if (message) {
+          write({ type: "error", message: stripColors(message) });
+        }
+      } else {
+        console.error(message);
+      }
+    },
+
+    warn(message = "") {
+      if (!enabled("warn")) {
+        return;
+      }
+      if (json) {
+        if (message) {
+          write({ type: "warning", message: stripColors(message) });
+        }
+      } else {
+        console.log(chalk.yellow(message));
+      }
+    },
+
+    info(message = "") {
+      if (!json && enabled("info")) {
+        console.log(message);
+      }
+    },
+
+    verbose(message = "") {
+      if (!json && enabled("verbose")) {
+        console.log(chalk.gray(message));
+      }
+    },
+
+    // Print a progress event from createDataverseApp(). Debug events are only
+    // shown with --verbose.
+    event(event) {
+      const eventLevel = {
+        warning: "warn",
+        debug: "verbose",
+      }[event.type];
+      if (!enabled(eventLevel || "info")) {
+        return;
+      }
+      if (json) {
+        write(event);
+      } else if (event.type === "warning") {
+        logger.warn(event.message);
+      } else if (event.type === "debug") {
+        logger.verbose(event.message);
+      } else {
+        if (event.type === "step") {
+          logger.info();
+        }
+        logger.info(event.message);
+      }
+    },
+
+    // Events that only exist in JSON output, like `done`.
+    result(event) {
+      if (json) {
+        write(event);
+      }
+    },
+  };
+  return logger;
+}
+
+module.exports = {
+  createLogger,
+};
@@ -0,0 +1,77 @@
+"use strict";
+
+// Where templates and packages are fetched from. Networks that block
+// github.com or registry.npmjs.org can point the CLI at mirrors with
+// CREATE_DATAVERSE_APP_TEMPLATE_MIRROR and CREATE_DATAVERSE_APP_REGISTRY, which
+// the `--template-mirror` and `--registry` flags set.
+
+function withTrailingSlash(url) {
+  return url.endsWith("/") ? url : `${url}/`;
+}
+
+function getTemplateMirror() {
+  return process.env.CREATE_DATAVERSE_APP_TEMPLATE_MIRROR || null;
+}
+
+// The registry npm, yarn and pnpm are pointed at, or null to leave it to
+// their own config.
+function getRegistry() {
+  return process.env.CREATE_DATAVERSE_APP_REGISTRY || null;
+}
+
+// The url to fetch the git repository at `url` from. With a mirror, the
+// github.com urls are rewritten to it, e.g. with the mirror
+// https://git.example.com/github/, https://github.com/my-org/repo.git is
+// fetched from https://git.example.com/github/my-org/repo.git.
+function getGitUrl(url) {
+  const mirror = getTemplateMirror();
+  const match =
+    /^(?:git\+)?(?:(?:https?|ssh|git):\/\/(?:[^@/]+@)?|[^@/]+@)github\.com[/:]/.exec(
+      url
+    );
+  return mirror && match
+    ? withTrailingSlash(mirror) + url.slice(match[0].length)
+    : url;
+}
+
+// The host of an http, ssh or scp-like git url, for error messages, or "the
+// local filesystem" for a file url.
+function getHost(url) {
+  const scpLike = /^[^@/:]+@([^:/]+):/.exec(url);
+  if (scpLike) {
+    return scpLike[1];
+  }
+  try {
+    const parsed = new URL(url.replace(/^git\+/, ""));
+    // file urls have no host, the repository is on this machine.
+    if (parsed.protocol === "file:") {
+      return "the local filesystem";
+    }
+    return parsed.host || url;
+  } catch (e) {
+    return url;
+  }
+}
+
+// The environment for the commands we run, so that the package managers
+// install from the configured registry.
+function getRegistryEnv() {
+  const registry = getRegistry();
+  if (!registry) {
+    return process.env;
+  }
+  return {
+    ...process.env,
+    npm_config_registry: registry,
+    // Yarn 2+ doesn't read the npm config.
+    YARN_NPM_REGISTRY_SERVER: registry,
+  };
+}
+
+module.exports = {
+  getTemplateMirror,
+  getRegistry,
+  getGitUrl,
+  getHost,
+  getRegistryEnv,
+};
@@ -0,0 +1,264 @@
+"use strict";
+
+// Defaults for the command line flags, read from `~/.create-dataverse-apprc`
+// and from the nearest `.create-dataverse-apprc` above the current directory,
+// which overrides it. Both are JSON, e.g.
+//
+//   {
+//     "packageManager": "pnpm",
+//     "git": false,
+//     "website": ["https://app.example.com"],
+//     "variables": { "license": "MIT" },
+//     "presets": {
+//       "team-default": { "template": "https://github.com/my-org/tpl.git" }
+//     }
+//   }
+//
+// A preset, picked with `--preset <name>`, overrides the other settings.
+// Flags passed on the command line override them all.
+
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+
+const { InvalidOptionError } = require("./errors");
+
+const rcFileName = ".create-dataverse-apprc";
+
+// The settings and the type of their values, a list of strings being the
+// allowed values.
+const settingTypes = {
+  template: "string",
+  templatePath: "string",
+  templateIndex: "string",
+  packageManager: ["npm", "yarn", "pnpm"],
+  skipInstall: "boolean",
+  git: "boolean",
+  workspace: "boolean",
+  env: "boolean",
+  registry: "string",
+  templateMirror: "string",
+  appDescription: "string",
+  website: "list",
+  models: "list",
+  addons: "list",
+};
+
+function getUserRcFile() {
+  return path.join(os.homedir(), rcFileName);
+}
+
+// The nearest project rc file above `dir`, or null. The one in the home
+// directory is the user's.
+function findProjectRcFile(dir) {
+  const userRcFile = getUserRcFile();
+  let current = path.resolve(dir);
+  for (;;) {
+    const file = path.join(current, rcFileName);
+    if (file !== userRcFile && fs.existsSync(file)) {
+      return file;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Returns the problem with `value` for the setting `name`, or true.
+function validateSetting(name, value) {
+  const type = settingTypes[name];
+  if (!type) {
+    return `unknown setting ${name}, use one of ${Object.keys(
+      settingTypes
+    ).join(", ")}, variables or presets.`;
+  }
+  if (Array.isArray(type)) {
+    return type.includes(value) || `${name} must be one of ${type.join(", ")}.`;
+  }
+  if (type === "list") {
+    return (
+      (Array.isArray(value) && value.every((v) => typeof v === "string")) ||
+      `${name} must be a list of strings.`
+    );
+  }
+  return typeof value === type || `${name} must be a ${type}.`;
+}
+
+function validateSettings(settings, where) {
+  const invalid = (problem) => new InvalidOptionError(`${where}: ${problem}`);
+  if (!isObject(settings)) {
+    throw invalid("the settings must be an object.");
+  }
+  Object.entries(settings).forEach(([name, value]) => {
+    if (name === "variables") {
+      if (
+        !isObject(value) ||
+        !Object.values(value).every((v) => typeof v === "string")
+      ) {
+        throw invalid("variables must map names to strings.");
+      }
+      return;
+    }
+    const validation = validateSetting(name, value);
+    if (validation !== true) {
+      throw invalid(validation);
+    }
+  });
+}
+
+// Returns the settings in `file`, or an empty object when there is none.
+function readRcFile(file) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  let contents;
+  try {
+    contents = fs.readJsonSync(file);
+  } catch (err) {
+    throw new InvalidOptionError(`Could not read ${file}: ${err.message}`);
+  }
+  const { presets = {}, ...settings } = contents || {};
+  validateSettings(settings, file);
+  if (!isObject(presets)) {
+    throw new InvalidOptionError(`${file}: presets must be an object.`);
+  }
+  Object.entries(presets).forEach(([name, preset]) =>
+    validateSettings(preset, `${file}, preset ${name}`)
+  );
+  return contents;
+}
+
+function mergeSettings(base, override) {
+  return {
+    ...base,
+    ...override,
+    variables: { ...base.variables, ...override.variables },
+  };
+}
+
+// Resolve the settings for a command run in `dir`: the user's, the
+// project's over them and the `preset` over both. Returns `{ files,
+// settings }`, `files` being the rc files that were read.
+function loadSettings(dir, preset) {
+  const files = [getUserRcFile(), findProjectRcFile(dir)]
+    .filter((file) => file && fs.existsSync(file))
+    .map((file) => ({ path: file, contents: readRcFile(file) }));
+
+  let settings = { variables: {} };
+  const presets = {};
+  files.forEach(({ contents }) => {
+    const { presets: filePresets = {}, ...fileSettings } = contents;
+    settings = mergeSettings(settings, fileSettings);
+    Object.assign(presets, filePresets);
+  });
+  if (preset) {
+    if (!presets[preset]) {
+      throw new InvalidOptionError(
+        `There is no preset named ${preset}.` +
+          (Object.keys(presets).length
+            ? ` The presets are ${Object.keys(presets).join(", ")}.`
+            : ` Add one with \`config set presets.${preset}.<setting> <value>\`.`)
+      );
+    }
+    settings = mergeSettings(settings, presets[preset]);
+  }
+  return { files, settings };
+}
+
+// Split a key like `git`, `variables.license` or
+// `presets.team-default.packageManager` into its path in the rc file, checking
+// that it names a setting. With `allowGroups`, it can also name a group of
+// them, like `variables` or `presets.team-default`.
+function parseKey(key, allowGroups) {
+  const parts = key.split(".");
+  if (
+    allowGroups &&
+    /^(presets(\.[^.]+)?\.)?variables$|^presets(\.[^.]+)?$/.test(key)
+  ) {
+    return parts;
+  }
+  const settingParts = parts[0] === "presets" ? parts.slice(2) : parts;
+  if (parts[0] === "presets" && (!parts[1] || !settingParts.length)) {
+    throw new InvalidOptionError(
+      `Use presets.<preset>.<setting> to change a preset, not ${key}.`
+    );
+  }
+  if (settingParts[0] === "variables" && settingParts.length === 2) {
+    return parts;
+  }
+  if (settingParts.length !== 1 || !settingTypes[settingParts[0]]) {
+    throw new InvalidOptionError(
+      `Unknown setting ${key}, use one of ${Object.keys(settingTypes).join(
+        ", "
+      )}, variables.<name> or presets.<preset>.<setting>.`
+    );
+  }
+  return parts;
+}
+
+// Turn the `value` given on the command line into the value to store.
+function parseValue(name, value) {
+  const type = settingTypes[name];
+  let parsed = value;
+  if (type === "boolean") {
+    parsed = value === "true" ? true : value === "false" ? false : value;
+  } else if (type === "list") {
+    parsed = value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  const validation = validateSetting(name, parsed);
+  if (validation !== true) {
+    throw new InvalidOptionError(validation);
+  }
+  return parsed;
+}
+
+// Set `key` to `value` in the rc `file`, creating it when needed.
+function setSetting(file, key, value) {
+  const parts = parseKey(key);
+  const name = parts[parts.length - 1];
+  const parsed =
+    parts[parts.length - 2] === "variables" ? value : parseValue(name, value);
+  const contents = readRcFile(file);
+  let parent = contents;
+  parts.slice(0, -1).forEach((part) => {
+    parent[part] = isObject(parent[part]) ? parent[part] : {};
+    parent = parent[part];
+  });
+  parent[name] = parsed;
+  fs.outputJsonSync(file, contents, { spaces: 2 });
+  return parsed;
+}
+
+// The value of `key` in the rc `files`, the last one that has it winning, or
+// undefined.
+function getSetting(files, key) {
+  const parts = parseKey(key, true);
+  let value;
+  files.forEach(({ contents }) => {
+    const fileValue = parts.reduce(
+      (parent, part) => (isObject(parent) ? parent[part] : undefined),
+      contents
+    );
+    if (fileValue !== undefined) {
+      value = fileValue;
+    }
+  });
+  return value;
+}
+
+module.exports = {
+  rcFileName,
+  getUserRcFile,
+  loadSettings,
+  setSetting,
+  getSetting,
+};
@@ -0,0 +1,183 @@
+"use strict";
+
+// The few HTTP requests the CLI makes itself, like the update check and the
+// template index. Everything else goes through git and npm. Requests go
+// through the proxy in HTTPS_PROXY or HTTP_PROXY, unless NO_PROXY lists the
+// host.
+
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const tls = require("tls");
+
+function getEnv(name) {
+  return process.env[name] || process.env[name.toLowerCase()] || "";
+}
+
+function getDefaultPort(url) {
+  return url.protocol === "https:" ? 443 : 80;
+}
+
+// Whether NO_PROXY, e.g. `localhost,.example.com,10.0.0.1:8080`, lists the
+// host of `url`.
+function isProxyBypassed(url) {
+  const port = url.port || String(getDefaultPort(url));
+  return getEnv("NO_PROXY")
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .some((entry) => {
+      if (entry === "*") {
+        return true;
+      }
+      const [host, entryPort] = entry.split(":");
+      if (entryPort && entryPort !== port) {
+        return false;
+      }
+      const domain = host.replace(/^\*?\./, "");
+      return url.hostname === domain || url.hostname.endsWith(`.${domain}`);
+    });
+}
+
+// The proxy to reach `url` through, or null.
+function getProxy(url) {
+  const proxy =
+    url.protocol === "https:"
+      ? getEnv("HTTPS_PROXY") || getEnv("HTTP_PROXY")
+      : getEnv("HTTP_PROXY");
+  if (!proxy || isProxyBypassed(url)) {
+    return null;
+  }
+  return new URL(/^[a-z]+:\/\//i.test(proxy) ? proxy : `http://${proxy}`);
+}
+
+function getProxyHeaders(proxy) {
+  if (!proxy.username) {
+    return {};
+  }
+  const credentials = `${decodeURIComponent(
+    proxy.username
+  )}:${decodeURIComponent(proxy.password)}`;
+  return {
+    "Proxy-Authorization": `Basic ${Buffer.from(credentials).toString(
+      "base64"
+    )}`,
+  };
+}
+
+// Resolve with a socket tunneled through the proxy to the host of `url`.
+function connectThroughProxy(proxy, url, timeout) {
+  const target = `${url.hostname}:${url.port || getDefaultPort(url)}`;
+  return new Promise((resolve, reject) => {
+    const request = (proxy.protocol === "https:" ? https : http)
+      .request({
+        host: proxy.hostname,
+        port: proxy.port || getDefaultPort(proxy),
+        method: "CONNECT",
+        path: target,
+        headers: { host: target, ...getProxyHeaders(proxy) },
+        timeout,
+      })
+      .on("connect", (res, socket) => {
+        if (res.statusCode !== 200) {
+          socket.destroy();
+          reject(new Error(`the proxy responded with ${res.statusCode}`));
+          return;
+        }
+        resolve(socket);
+      })
+      .on("timeout", () => request.destroy(new Error("timed out")))
+      .on("error", reject);
+    request.end();
+  });
+}
+
+// Send the GET request for `url`, through `proxy` when there is one.
+// `onError` is called when it can't be sent.
+function get(url, proxy, timeout, onResponse, onError) {
+  const watch = (request) =>
+    request
+      .on("timeout", () => request.destroy(new Error("timed out")))
+      .on("error", onError);
+  if (!proxy) {
+    watch(
+      (url.protocol === "http:" ? http : https).get(
+        url,
+        { timeout },
+        onResponse
+      )
+    );
+  } else if (url.protocol === "http:") {
+    // Plain http requests are sent to the proxy with the full url.
+    watch(
+      (proxy.protocol === "https:" ? https : http).get(
+        {
+          host: proxy.hostname,
+          port: proxy.port || getDefaultPort(proxy),
+          path: url.href,
+          headers: { host: url.host, ...getProxyHeaders(proxy) },
+          timeout,
+        },
+        onResponse
+      )
+    );
+  } else {
+    connectThroughProxy(proxy, url, timeout).then(
+      (socket) =>
+        watch(
+          https.get(
+            url,
+            {
+              timeout,
+              createConnection: () =>
+                tls.connect({
+                  socket,
+                  // SNI only takes host names.
+                  servername: net.isIP(url.hostname) ? undefined : url.hostname,
+                }),
+            },
+            onResponse
+          )
+        ),
+      onError
+    );
+  }
+}
+
+// Resolve with the parsed JSON body of `url`, rejecting when the request
+// fails, times out after `timeout` milliseconds or doesn't return JSON. The
+// errors name the host that could not be reached.
+function fetchJson(url, { timeout } = {}) {
+  url = new URL(url);
+  const proxy = getProxy(url);
+  return new Promise((resolve, reject) => {
+    const onResponse = (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`${url} responded with ${res.statusCode}`));
+        return;
+      }
+      let body = "";
+      res.on("data", (data) => (body += data));
+      res.on("end", () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch (err) {
+          reject(new Error(`${url} did not return JSON: ${err.message}`));
+        }
+      });
+    };
+    const onError = (err) =>
+      reject(
+        new Error(
+          `Could not reach ${url.host}${
+            proxy ? ` through the proxy ${proxy.host}` : ""
+          }: ${err.message}`
+        )
+      );
+    get(url, proxy, timeout, onResponse, onError);
+  });
+}
+
+module.exports = {
+  fetchJson,
+};
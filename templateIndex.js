@@ -0,0 +1,144 @@
+"use strict";
+
+// The template index lists templates by a short name, so that
+// `--template <name>` can be used instead of a git url. It is read from the
+// templates.json bundled with the CLI, or from the url or file that
+// `--template-index` or CREATE_DATAVERSE_APP_TEMPLATE_INDEX points to. An
+// index fetched from a url is cached, and the cached copy is used when
+// offline.
+
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+
+const { TemplateError } = require("./errors");
+const { fetchJson } = require("./request");
+
+const bundledIndex = path.join(__dirname, "templates.json");
+
+const timeout = 10000;
+
+function isUrl(source) {
+  return /^https?:\/\//.test(source);
+}
+
+function getIndexSource(source) {
+  return source || process.env.CREATE_DATAVERSE_APP_TEMPLATE_INDEX || null;
+}
+
+function getCachedIndexPath(url, cacheDir) {
+  const key = crypto.createHash("sha1").update(url).digest("hex").slice(0, 16);
+  return path.join(cacheDir, "template-index", `${key}.json`);
+}
+
+// Check the index and make the templates of a local index that point to
+// relative paths absolute, so that they work from anywhere.
+function parseIndex(index, source, baseDir) {
+  if (!index || !Array.isArray(index.templates)) {
+    throw new TemplateError(
+      `The template index ${source} has no list of templates.`
+    );
+  }
+  const templates = index.templates.map((entry) => {
+    if (
+      !entry ||
+      typeof entry.name !== "string" ||
+      typeof entry.template !== "string"
+    ) {
+      throw new TemplateError(
+        `Every template in the index ${source} needs a name and a template.`
+      );
+    }
+    return {
+      name: entry.name,
+      description: entry.description || "",
+      framework: entry.framework || null,
+      tags: Array.isArray(entry.tags) ? entry.tags : [],
+      template:
+        baseDir && /^\.\.?[/\\]/.test(entry.template)
+          ? path.resolve(baseDir, entry.template)
+          : entry.template,
+    };
+  });
+  return { source, templates };
+}
+
+function readIndexFile(file) {
+  let index;
+  try {
+    index = fs.readJsonSync(file);
+  } catch (err) {
+    throw new TemplateError(
+      `Could not read the template index ${file}: ${err.message}`
+    );
+  }
+  return parseIndex(index, file, path.dirname(file));
+}
+
+// Resolve with `{ source, templates }`. `source` is the url or file to read
+// the index from, the bundled index is used without one. A fetched index is
+// cached, except in a `dryRun`.
+function loadTemplateIndex(source, { offline, cacheDir, onProgress, dryRun }) {
+  source = getIndexSource(source);
+  if (!source) {
+    return Promise.resolve().then(() =>
+      parseIndex(fs.readJsonSync(bundledIndex), "the bundled index")
+    );
+  }
+  if (!isUrl(source)) {
+    return Promise.resolve().then(() => readIndexFile(path.resolve(source)));
+  }
+
+  const cachedPath = getCachedIndexPath(source, cacheDir);
+  const readCache = () =>
+    fs.existsSync(cachedPath)
+      ? parseIndex(fs.readJsonSync(cachedPath), source)
+      : null;
+  if (offline) {
+    return Promise.resolve().then(() => {
+      const cached = readCache();
+      if (!cached) {
+        throw new TemplateError(
+          `There is no cached copy of the template index ${source}, so it cannot be used in offline mode.`
+        );
+      }
+      return cached;
+    });
+  }
+  return fetchJson(source, { timeout }).then(
+    (index) => {
+      const parsed = parseIndex(index, source);
+      if (dryRun) {
+        return parsed;
+      }
+      try {
+        fs.outputJsonSync(cachedPath, index, { spaces: 2 });
+      } catch (err) {
+        // We'll fetch it again next time.
+      }
+      return parsed;
+    },
+    (err) => {
+      const cached = readCache();
+      if (!cached) {
+        throw new TemplateError(
+          `Could not fetch the template index ${source}: ${err.message}`
+        );
+      }
+      onProgress({
+        type: "warning",
+        message: `Could not fetch the template index ${source}, using the cached copy.`,
+      });
+      return cached;
+    }
+  );
+}
+
+function findTemplate(index, name) {
+  return index.templates.find((entry) => entry.name === name) || null;
+}
+
+module.exports = {
+  loadTemplateIndex,
+  findTemplate,
+};
@@ -0,0 +1,261 @@
+"use strict";
+
+// Templates can ship a `dataverse-template.json` telling how to customize
+// them, e.g.
+//
+//   {
+//     "variables": {
+//       "title": { "message": "App title:", "default": "{{appName}}" }
+//     },
+//     "render": ["README.md", "src/title.ts"],
+//     "delete": ["docs"],
+//     "postCreate": ["{{packageManager}} run codegen"],
+//     "nextSteps": ["run the codegen again after changing a model"]
+//   }
+//
+// `{{name}}` placeholders in the rendered files, commands and next steps are
+// replaced by the variables' values. The manifest itself is not copied into
+// the app.
+
+const fs = require("fs-extra");
+const path = require("path");
+
+const { InvalidOptionError, TemplateError } = require("./errors");
+
+const manifestFileName = "dataverse-template.json";
+
+// Always available, next to the ones the template declares.
+const builtinVariables = ["appName", "appSlug", "packageManager"];
+
+const variableTypes = ["text", "confirm", "select"];
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((v) => typeof v === "string");
+}
+
+// The paths the manifest lists must stay inside the app.
+function checkPath(file) {
+  const normalized = path.normalize(file);
+  if (path.isAbsolute(normalized) || normalized.split(path.sep)[0] === "..") {
+    throw new TemplateError(
+      `${manifestFileName} lists ${file}, which is outside of the app.`
+    );
+  }
+}
+
+// Returns the manifest in `dir`, or null when there is none. Throws a
+// TemplateError when it is malformed.
+function readManifest(dir) {
+  const manifestPath = path.join(dir, manifestFileName);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  let manifest;
+  try {
+    manifest = fs.readJsonSync(manifestPath);
+  } catch (err) {
+    throw new TemplateError(
+      `Could not read the template's ${manifestFileName}: ${err.message}`
+    );
+  }
+  const invalid = (problem) =>
+    new TemplateError(`Invalid ${manifestFileName}: ${problem}`);
+
+  const {
+    variables = {},
+    render = [],
+    delete: deleted = [],
+    postCreate = [],
+    nextSteps = [],
+  } = manifest;
+  if (typeof variables !== "object" || Array.isArray(variables)) {
+    throw invalid("variables must be an object.");
+  }
+  Object.entries(variables).forEach(([name, variable]) => {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw invalid(`${name} is not a valid variable name.`);
+    }
+    if (builtinVariables.includes(name)) {
+      throw invalid(`${name} is set by create-dataverse-app.`);
+    }
+    if (!variable || typeof variable !== "object") {
+      throw invalid(`${name} must be an object.`);
+    }
+    const type = variable.type || "text";
+    if (!variableTypes.includes(type)) {
+      throw invalid(
+        `the type of ${name} must be one of ${variableTypes.join(", ")}.`
+      );
+    }
+    if (type === "select" && !isStringArray(variable.choices)) {
+      throw invalid(`${name} needs a list of choices.`);
+    }
+  });
+  [
+    ["render", render],
+    ["delete", deleted],
+    ["postCreate", postCreate],
+    ["nextSteps", nextSteps],
+  ].forEach(([key, value]) => {
+    if (!isStringArray(value)) {
+      throw invalid(`${key} must be a list of strings.`);
+    }
+  });
+  render.concat(deleted).forEach(checkPath);
+
+  return {
+    variables: Object.entries(variables).map(([name, variable]) => ({
+      name,
+      type: "text",
+      message: `${name}:`,
+      ...variable,
+    })),
+    render,
+    delete: deleted,
+    postCreate,
+    nextSteps,
+  };
+}
+
+function renderString(source, values) {
+  return source.replace(
+    /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g,
+    (match, name) =>
+      Object.prototype.hasOwnProperty.call(values, name)
+        ? String(values[name])
+        : match
+  );
+}
+
+// Resolve with the values of all variables: the built-in ones in `builtins`,
+// then the ones passed in `given`, then the answers to `prompt`, which is
+// called with the variables left, and finally their defaults. `defaults`
+// overrides the template's defaults, for the variables it declares.
+function getVariableValues(manifest, builtins, given, prompt, defaults = {}) {
+  const unknown = Object.keys(given).filter(
+    (name) => !manifest.variables.some((variable) => variable.name === name)
+  );
+  if (unknown.length) {
+    throw new InvalidOptionError(
+      `The template has no variable named ${unknown.join(", ")}.` +
+        (manifest.variables.length
+          ? ` Its variables are ${manifest.variables
+              .map((variable) => variable.name)
+              .join(", ")}.`
+          : "")
+    );
+  }
+
+  const withDefault = (variable) => ({
+    ...variable,
+    default:
+      typeof variable.default === "string"
+        ? renderString(variable.default, builtins)
+        : variable.default,
+  });
+  given = {
+    ...Object.fromEntries(
+      manifest.variables
+        .filter((variable) => defaults[variable.name] !== undefined)
+        .map((variable) => [variable.name, defaults[variable.name]])
+    ),
+    ...given,
+  };
+  const missing = manifest.variables
+    .filter((variable) => given[variable.name] === undefined)
+    .map(withDefault);
+
+  return Promise.resolve(missing.length && prompt ? prompt(missing) : {}).then(
+    (answers) => {
+      const values = { ...builtins };
+      manifest.variables.forEach((variable) => {
+        const { name } = variable;
+        const value = [
+          given[name],
+          answers[name],
+          withDefault(variable).default,
+        ].find((v) => v !== undefined);
+        if (value === undefined) {
+          throw new InvalidOptionError(
+            `The template needs a value for ${name}, pass it with --var ${name}=<value>.`
+          );
+        }
+        if (variable.type === "select" && !variable.choices.includes(value)) {
+          throw new InvalidOptionError(
+            `"${value}" is not a valid value for ${name}, use one of ${variable.choices.join(
+              ", "
+            )}.`
+          );
+        }
+        values[name] =
+          variable.type === "confirm"
+            ? value === true || value === "true"
+            : String(value);
+      });
+      return values;
+    }
+  );
+}
+
+// Whether `file` is, or is inside, one of the `existingFiles`, the entries
+// that were in the app's directory before the template was copied into it.
+function isExistingFile(file, existingFiles) {
+  return existingFiles.includes(path.posix.normalize(file).split("/")[0]);
+}
+
+// Render the files the manifest lists in the app in `root`, delete the ones
+// it doesn't want and drop the manifest itself. The `existingFiles` aren't
+// the template's, so they are left alone.
+function applyManifest(root, manifest, values, onProgress, existingFiles = []) {
+  const keep = (file) => {
+    if (!isExistingFile(file, existingFiles)) {
+      return false;
+    }
+    onProgress({
+      type: "info",
+      message: `Kept ${file}, it was there before the app was created.`,
+    });
+    return true;
+  };
+  manifest.render.forEach((file) => {
+    if (keep(file)) {
+      return;
+    }
+    const filePath = path.join(root, file);
+    if (!fs.existsSync(filePath)) {
+      throw new TemplateError(
+        `${manifestFileName} lists ${file} to render, but the template has no such file.`
+      );
+    }
+    fs.writeFileSync(
+      filePath,
+      renderString(fs.readFileSync(filePath, "utf8"), values)
+    );
+    onProgress({ type: "info", message: `Rendered ${file}.` });
+  });
+  manifest.delete.forEach((file) => {
+    if (!keep(file) && fs.existsSync(path.join(root, file))) {
+      fs.removeSync(path.join(root, file));
+      onProgress({ type: "info", message: `Deleted ${file}.` });
+    }
+  });
+  fs.removeSync(path.join(root, manifestFileName));
+}
+
+function getPostCreateCommands(manifest, values) {
+  return manifest.postCreate.map((command) => renderString(command, values));
+}
+
+function getNextSteps(manifest, values) {
+  return manifest.nextSteps.map((step) => renderString(step, values));
+}
+
+module.exports = {
+  manifestFileName,
+  readManifest,
+  getVariableValues,
+  isExistingFile,
+  applyManifest,
+  getPostCreateCommands,
+  getNextSteps,
+};
@@ -0,0 +1,156 @@
+"use strict";
+
+// Checks whether a newer create-dataverse-app was released. The check runs
+// while the app is being created and never fails: when the registry can't be
+// reached we just don't know. Its result is cached, so that the registry is
+// only asked once per interval.
+
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const semver = require("semver");
+const spawn = require("cross-spawn");
+
+const packageJson = require("./package.json");
+const { fetchJson } = require("./request");
+const network = require("./network");
+
+const defaultRegistry = "https://registry.npmjs.org/";
+
+// In hours, can be changed with CREATE_DATAVERSE_APP_UPDATE_CHECK_INTERVAL.
+const defaultInterval = 24;
+
+// Neither the registry nor npm may hold up the end of the command for long.
+const timeout = 3000;
+
+function getConfigDir() {
+  if (process.env.CREATE_DATAVERSE_APP_CONFIG_DIR) {
+    return path.resolve(process.env.CREATE_DATAVERSE_APP_CONFIG_DIR);
+  }
+  if (process.platform === "win32") {
+    return path.join(
+      process.env.APPDATA || path.join(os.homedir(), "AppData", "Roaming"),
+      packageJson.name,
+      "Config"
+    );
+  }
+  if (process.platform === "darwin") {
+    return path.join(os.homedir(), "Library", "Preferences", packageJson.name);
+  }
+  return path.join(
+    process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"),
+    packageJson.name
+  );
+}
+
+function getCacheFile() {
+  return path.join(getConfigDir(), "update-check.json");
+}
+
+function getInterval() {
+  const hours = parseFloat(
+    process.env.CREATE_DATAVERSE_APP_UPDATE_CHECK_INTERVAL
+  );
+  return (Number.isNaN(hours) ? defaultInterval : hours) * 60 * 60 * 1000;
+}
+
+function isUpdateCheckDisabled() {
+  const value = process.env.CREATE_DATAVERSE_APP_SKIP_UPDATE_CHECK;
+  return Boolean(value) && value !== "0" && value !== "false";
+}
+
+function readCache() {
+  try {
+    return fs.readJsonSync(getCacheFile());
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeCache(latest) {
+  try {
+    fs.outputJsonSync(
+      getCacheFile(),
+      { latest, checkedAt: new Date().toISOString() },
+      { spaces: 2 }
+    );
+  } catch (e) {
+    // Not being able to cache only means we check again next time.
+  }
+}
+
+// The registry npm installs from, which may be a private one.
+function getRegistry() {
+  if (network.getRegistry()) {
+    return Promise.resolve(network.getRegistry());
+  }
+  // Set by npm and npx for the commands they run.
+  if (process.env.npm_config_registry) {
+    return Promise.resolve(process.env.npm_config_registry);
+  }
+  return new Promise((resolve) => {
+    let output = "";
+    const child = spawn("npm", ["config", "get", "registry"], {
+      stdio: ["ignore", "pipe", "ignore"],
+    });
+    const timer = setTimeout(() => child.kill(), timeout);
+    child.stdout.on("data", (data) => (output += data));
+    child.on("error", () => resolve(defaultRegistry));
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      output = output.trim();
+      resolve(code === 0 && /^https?:\/\//.test(output) ? output : null);
+    });
+  }).then((registry) => registry || defaultRegistry);
+}
+
+function fetchLatestVersion(registry) {
+  const url = new URL(
+    `-/package/${packageJson.name}/dist-tags`,
+    registry.endsWith("/") ? registry : `${registry}/`
+  );
+  return fetchJson(url, { timeout }).then((distTags) => distTags.latest);
+}
+
+// Resolve with the latest released version, or null when it is unknown. The
+// answer is cached, except in a `dryRun`.
+function checkForLatestVersion(dryRun) {
+  const cache = readCache();
+  if (
+    cache &&
+    cache.latest &&
+    Date.now() - new Date(cache.checkedAt).getTime() < getInterval()
+  ) {
+    return Promise.resolve(cache.latest);
+  }
+  return getRegistry()
+    .then(fetchLatestVersion)
+    .then((latest) => {
+      if (!dryRun) {
+        writeCache(latest);
+      }
+      return latest;
+    })
+    .catch(() => (cache && cache.latest) || null);
+}
+
+// The notice to print when `latest` is newer than this version, or null.
+function getUpdateNotice(latest) {
+  if (
+    !latest ||
+    !semver.valid(latest) ||
+    !semver.lt(packageJson.version, latest)
+  ) {
+    return null;
+  }
+  return (
+    `You are running \`create-dataverse-app\` ${packageJson.version}, which is behind the latest release (${latest}).\n\n` +
+    "We recommend always using the latest version of create-dataverse-app if possible."
+  );
+}
+
+module.exports = {
+  checkForLatestVersion,
+  isUpdateCheckDisabled,
+  getUpdateNotice,
+};
@@ -0,0 +1,141 @@
+"use strict";
+
+// Three-way merge of template updates into an app. The template revision the
+// app was created from is the common ancestor: changes between it and the new
+// revision are applied to the app's files, keeping the app's own changes.
+// Text files that both changed are merged with `git merge-file`, leaving
+// conflict markers where the changes overlap.
+
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const spawn = require("cross-spawn");
+
+function readFile(dir, file) {
+  const filePath = path.join(dir, file);
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+}
+
+// Git's heuristic: a NUL byte in the first 8000 bytes.
+function isBinary(contents) {
+  return contents.subarray(0, 8000).includes(0);
+}
+
+// Merge the changes from `base` to `theirs` into `ours`. Returns the merged
+// contents and the number of conflicts, or null when git can't merge them.
+function mergeFile(file, ours, base, theirs, labels) {
+  const tmpDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), "create-dataverse-app-")
+  );
+  try {
+    const versions = { ours, base, theirs };
+    Object.keys(versions).forEach((name) => {
+      fs.writeFileSync(path.join(tmpDir, name), versions[name] || "");
+    });
+    const result = spawn.sync(
+      "git",
+      [
+        "merge-file",
+        "-p",
+        "-L",
+        `${file} (${labels.ours})`,
+        "-L",
+        `${file} (${labels.base})`,
+        "-L",
+        `${file} (${labels.theirs})`,
+        path.join(tmpDir, "ours"),
+        path.join(tmpDir, "base"),
+        path.join(tmpDir, "theirs"),
+      ],
+      { stdio: ["ignore", "pipe", "ignore"] }
+    );
+    // The exit code is the number of conflicts, or negative on errors.
+    if (result.error || result.status === null || result.status >= 128) {
+      return null;
+    }
+    return { contents: result.stdout, conflicts: result.status };
+  } finally {
+    fs.removeSync(tmpDir);
+  }
+}
+
+// Apply the changes between the template files in `baseDir` and `newDir` to
+// the app in `root`, for each of `files`. Returns what happened to each file
+// that the template changed, as `{ path, action, reason }` where `action` is
+// one of `added`, `updated`, `deleted`, `merged` or `conflict`. With
+// `dryRun`, nothing is written.
+function mergeTemplateFiles(root, baseDir, newDir, files, labels, dryRun) {
+  const results = [];
+  const write = (file, contents) => {
+    if (!dryRun) {
+      fs.outputFileSync(path.join(root, file), contents);
+    }
+  };
+
+  files.forEach((file) => {
+    const base = readFile(baseDir, file);
+    const theirs = readFile(newDir, file);
+    const ours = readFile(root, file);
+    const same = (a, b) =>
+      a === null ? b === null : b !== null && a.equals(b);
+    const add = (action, reason) =>
+      results.push({ path: file, action, reason });
+
+    // Nothing changed in the template, or the app already has the change.
+    if (same(base, theirs) || same(ours, theirs)) {
+      return;
+    }
+    if (theirs === null) {
+      if (same(ours, base)) {
+        if (!dryRun) {
+          fs.removeSync(path.join(root, file));
+        }
+        add("deleted");
+      } else {
+        add("conflict", "deleted in the template, but changed in the app");
+      }
+      return;
+    }
+    if (ours === null) {
+      if (base === null) {
+        write(file, theirs);
+        add("added");
+      } else {
+        add("conflict", "changed in the template, but deleted in the app");
+      }
+      return;
+    }
+    if (same(ours, base)) {
+      write(file, theirs);
+      add("updated");
+      return;
+    }
+    if (
+      [ours, theirs, base].some((contents) => contents && isBinary(contents))
+    ) {
+      add("conflict", "binary file changed in both the template and the app");
+      return;
+    }
+    const merged = mergeFile(file, ours, base, theirs, labels);
+    if (!merged) {
+      add("conflict", "could not be merged");
+      return;
+    }
+    write(file, merged.contents);
+    if (merged.conflicts) {
+      add(
+        "conflict",
+        base === null
+          ? "added in both the template and the app, see the conflict markers"
+          : "changed in both the template and the app, see the conflict markers"
+      );
+    } else {
+      add("merged");
+    }
+  });
+  return results;
+}
+
+module.exports = {
+  mergeTemplateFiles,
+};
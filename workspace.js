@@ -0,0 +1,302 @@
+"use strict";
+
+// Helpers for creating an app inside an existing pnpm, yarn or npm workspace.
+// The app then becomes one of the workspace's packages: it gets no lockfile or
+// repository of its own, uses the versions the other packages already depend
+// on, and its dependencies are installed from the workspace root.
+
+const fs = require("fs-extra");
+const path = require("path");
+
+const pnpmWorkspaceFile = "pnpm-workspace.yaml";
+
+// The lockfile each package manager writes.
+const packageManagerLockFiles = {
+  npm: "package-lock.json",
+  yarn: "yarn.lock",
+  pnpm: "pnpm-lock.yaml",
+};
+
+// npm also installs from npm-shrinkwrap.json, which takes precedence.
+const lockFiles = [
+  ...Object.values(packageManagerLockFiles),
+  "npm-shrinkwrap.json",
+];
+
+const dependencyFields = [
+  "dependencies",
+  "devDependencies",
+  "peerDependencies",
+  "optionalDependencies",
+];
+
+function readPackageJson(dir) {
+  try {
+    return fs.readJsonSync(path.join(dir, "package.json"));
+  } catch (e) {
+    return null;
+  }
+}
+
+// The `packages` of a pnpm-workspace.yaml, as `{ line, items }` where `line`
+// is the index of the `packages:` line and `items` the indexes and values of
+// its entries. We don't depend on a YAML parser for this, the list is a block
+// sequence of strings in practice.
+function findPnpmPackages(lines) {
+  const line = lines.findIndex((l) => /^packages:\s*(#.*)?$/.test(l));
+  const items = [];
+  if (line === -1) {
+    return { line, items };
+  }
+  for (let i = line + 1; i < lines.length; i++) {
+    const item = /^\s+-\s*(.*?)\s*(?:#.*)?$/.exec(lines[i]);
+    if (item) {
+      items.push({ index: i, value: unquote(item[1]) });
+    } else if (!/^\s*(#.*)?$/.test(lines[i])) {
+      break;
+    }
+  }
+  return { line, items };
+}
+
+function unquote(value) {
+  return value.replace(/^(["'])(.*)\1$/, "$2");
+}
+
+function getWorkspacesField(pkg) {
+  if (!pkg || !pkg.workspaces) {
+    return null;
+  }
+  if (Array.isArray(pkg.workspaces)) {
+    return pkg.workspaces;
+  }
+  return Array.isArray(pkg.workspaces.packages) ? pkg.workspaces.packages : [];
+}
+
+// Find the workspace `dir` is part of, looking in `dir` and its parents.
+// Returns `{ root, packageManager, file, patterns }` or null, where `file`
+// is the file the workspace packages are listed in.
+function findWorkspace(dir) {
+  for (let current = path.resolve(dir); ; current = path.dirname(current)) {
+    const pnpmFile = path.join(current, pnpmWorkspaceFile);
+    if (fs.existsSync(pnpmFile)) {
+      return {
+        root: current,
+        packageManager: "pnpm",
+        file: pnpmFile,
+        patterns: findPnpmPackages(
+          fs.readFileSync(pnpmFile, "utf8").split("\n")
+        ).items.map((item) => item.value),
+      };
+    }
+    const pkg = readPackageJson(current);
+    const patterns = getWorkspacesField(pkg);
+    if (patterns) {
+      // e.g. `yarn@3.6.0`
+      const declared = pkg.packageManager && pkg.packageManager.split("@")[0];
+      let packageManager = "npm";
+      if (declared === "yarn" || declared === "npm") {
+        packageManager = declared;
+      } else if (fs.existsSync(path.join(current, "yarn.lock"))) {
+        packageManager = "yarn";
+      }
+      return {
+        root: current,
+        packageManager,
+        file: path.join(current, "package.json"),
+        patterns,
+      };
+    }
+    if (path.dirname(current) === current) {
+      return null;
+    }
+  }
+}
+
+// Turn a workspace glob into a regular expression. Only `*` and `**` are
+// used in practice.
+function patternToRegExp(pattern) {
+  const source = pattern
+    .replace(/^\.\//, "")
+    .replace(/\/+$/, "")
+    .split("/")
+    .map((part) =>
+      part === "**"
+        ? "(?:.*)"
+        : part.replace(/[.+^${}()|[\]\\?]/g, "\\$&").replace(/\*/g, "[^/]*")
+    )
+    .join("/")
+    .replace(/\(\?:\.\*\)\//g, "(?:.*/)?");
+  return new RegExp(`^${source}$`);
+}
+
+// Whether `dir` is one of the workspace's packages according to its globs.
+function isWorkspacePackage(workspace, dir) {
+  const relative = path.relative(workspace.root, dir).split(path.sep).join("/");
+  let matched = false;
+  workspace.patterns.forEach((pattern) => {
+    if (pattern.startsWith("!")) {
+      if (patternToRegExp(pattern.slice(1)).test(relative)) {
+        matched = false;
+      }
+    } else if (patternToRegExp(pattern).test(relative)) {
+      matched = true;
+    }
+  });
+  return matched;
+}
+
+// The package.json of each package of the workspace, the root's included.
+function getWorkspacePackages(workspace) {
+  const packages = [];
+  const visit = (dir) => {
+    if (dir === workspace.root || isWorkspacePackage(workspace, dir)) {
+      const pkg = readPackageJson(dir);
+      if (pkg) {
+        packages.push({ dir, packageJson: pkg });
+      }
+    }
+    fs.readdirSync(dir, { withFileTypes: true })
+      .filter(
+        (entry) =>
+          entry.isDirectory() &&
+          entry.name !== "node_modules" &&
+          !entry.name.startsWith(".")
+      )
+      .forEach((entry) => visit(path.join(dir, entry.name)));
+  };
+  visit(workspace.root);
+  return packages;
+}
+
+// The versions of the app's dependencies that the rest of the workspace
+// already depends on differently, as `{ field, name, from, to }`. When the
+// other packages don't agree, the version used most wins.
+function getSharedVersionChanges(workspace, root, appPackageJson) {
+  const counts = {};
+  getWorkspacePackages(workspace)
+    .filter((pkg) => pkg.dir !== root)
+    .forEach(({ packageJson }) => {
+      dependencyFields.forEach((field) => {
+        Object.entries(packageJson[field] || {}).forEach(([name, version]) => {
+          counts[name] = counts[name] || {};
+          counts[name][version] = (counts[name][version] || 0) + 1;
+        });
+      });
+    });
+
+  const changes = [];
+  dependencyFields.forEach((field) => {
+    Object.entries(appPackageJson[field] || {}).forEach(([name, version]) => {
+      if (!counts[name]) {
+        return;
+      }
+      const [shared] = Object.entries(counts[name]).sort(
+        (a, b) => b[1] - a[1]
+      )[0];
+      if (shared !== version) {
+        changes.push({ field, name, from: version, to: shared });
+      }
+    });
+  });
+  return changes;
+}
+
+// The files a workspace package doesn't have: its lockfile lives at the root.
+function getLockFiles(files) {
+  return files.filter((file) => lockFiles.includes(file));
+}
+
+// Turn the app in `root` into a package of the workspace: remove its
+// lockfile and `packageManager` field, which belong to the root, and use the
+// dependency versions of the other packages.
+function prepareWorkspaceApp(workspace, root, onProgress) {
+  getLockFiles(fs.readdirSync(root)).forEach((file) => {
+    fs.removeSync(path.join(root, file));
+    onProgress({
+      type: "info",
+      message: `Removed ${file}, the workspace lockfile is used instead.`,
+    });
+  });
+
+  const appPackageJson = readPackageJson(root);
+  if (!appPackageJson) {
+    return;
+  }
+  delete appPackageJson.packageManager;
+  getSharedVersionChanges(workspace, root, appPackageJson).forEach(
+    ({ field, name, from, to }) => {
+      appPackageJson[field][name] = to;
+      onProgress({
+        type: "info",
+        message: `Changed ${name} from ${from} to ${to}, the version used in the workspace.`,
+      });
+    }
+  );
+  fs.writeJsonSync(path.join(root, "package.json"), appPackageJson, {
+    spaces: 2,
+  });
+}
+
+// The pattern that adds `root` to the workspace, or null when its globs
+// already include it.
+function getWorkspacePattern(workspace, root) {
+  if (isWorkspacePackage(workspace, root)) {
+    return null;
+  }
+  return path.relative(workspace.root, root).split(path.sep).join("/");
+}
+
+// Add `root` to the workspace globs if they don't include it yet. Returns
+// the previous contents of the workspace file, so that it can be restored,
+// or null when nothing was changed.
+function registerInWorkspace(workspace, root, onProgress) {
+  const pattern = getWorkspacePattern(workspace, root);
+  if (!pattern) {
+    return null;
+  }
+  const original = fs.readFileSync(workspace.file, "utf8");
+  let contents;
+  if (workspace.packageManager === "pnpm") {
+    const lines = original.split("\n");
+    const { line, items } = findPnpmPackages(lines);
+    if (line === -1) {
+      contents = `${original.replace(
+        /\n*$/,
+        original ? "\n" : ""
+      )}packages:\n  - "${pattern}"\n`;
+    } else {
+      const last = items.length ? items[items.length - 1].index : line;
+      const indent = items.length ? /^\s+/.exec(lines[last])[0] : "  ";
+      lines.splice(last + 1, 0, `${indent}- "${pattern}"`);
+      contents = lines.join("\n");
+    }
+  } else {
+    const rootPackageJson = JSON.parse(original);
+    const { workspaces } = rootPackageJson;
+    // Yarn's object form, e.g. with only `nohoist`, may not list packages yet.
+    if (!Array.isArray(workspaces) && !Array.isArray(workspaces.packages)) {
+      workspaces.packages = [];
+    }
+    getWorkspacesField(rootPackageJson).push(pattern);
+    contents = `${JSON.stringify(rootPackageJson, null, 2)}\n`;
+  }
+  fs.writeFileSync(workspace.file, contents);
+  onProgress({
+    type: "info",
+    message: `Added ${pattern} to the workspace packages in ${path.basename(
+      workspace.file
+    )}.`,
+  });
+  return original;
+}
+
+module.exports = {
+  findWorkspace,
+  getLockFiles,
+  packageManagerLockFiles,
+  getSharedVersionChanges,
+  getWorkspacePattern,
+  prepareWorkspaceApp,
+  registerInWorkspace,
+};